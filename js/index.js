@@ -1,6 +1,7 @@
 // Los logs iniciales se ejecutan después de definir la función log()
 
-import OBR from "https://esm.sh/@owlbear-rodeo/sdk@3.1.0";
+import OBR, { buildShape } from "https://esm.sh/@owlbear-rodeo/sdk@3.1.0";
+import katex from "../vendor/katex/katex.mjs";
 
 // Sistema de logs controlado por variable de entorno de Netlify
 let DEBUG_MODE = false;
@@ -663,8 +664,10 @@ const ROOM_CONTENT_CACHE_KEY = 'com.dmscreen/contentCache';
 const ROOM_HTML_CACHE_KEY = 'com.dmscreen/htmlCache';
 const BROADCAST_CHANNEL_REQUEST = 'com.dmscreen/requestContent';
 const BROADCAST_CHANNEL_RESPONSE = 'com.dmscreen/responseContent';
+const BROADCAST_CHANNEL_CONTENT_UPDATED = 'com.dmscreen/contentUpdated';
 
 // Claves para sistema de ownership (Master GM / Co-GM)
+// Vault completo de versiones anteriores, legible por todos: ya no se escribe, solo se borra
 const FULL_CONFIG_KEY = 'com.dmscreen/fullConfig';
 const VAULT_OWNER_KEY = 'com.dmscreen/vaultOwner';
 const OWNER_HEARTBEAT_INTERVAL = 120000; // 2 minutos
@@ -757,6 +760,237 @@ function validateTotalMetadataSize(metadataKey, newValue, currentMetadata = {})
   };
 }
 
+// ============================================
+// METADATA EN FRAGMENTOS (vaults de más de 16KB)
+// ============================================
+// La room metadata tiene un límite TOTAL de 16KB. Si un valor no cabe, se divide en fragmentos
+// guardados en la metadata de items ocultos de la escena y en la room solo queda un manifiesto
+
+const METADATA_CHUNK_ITEM_KEY = 'com.dmscreen/metadataChunk';
+const METADATA_CHUNK_SIZE = 12 * 1024; // Caracteres por fragmento
+const METADATA_CHUNK_READ_RETRIES = 3;
+const METADATA_CHUNK_READ_RETRY_DELAY = 1000; // 1 segundo
+
+// Último valor pendiente o escrito en fragmentos por clave (se reescribe al abrir otra escena)
+const chunkedMetadataValues = {};
+// Último valor leído por clave y versión del manifiesto (evita releer los items en cada cambio de metadata)
+const chunkedMetadataReadCache = {};
+// Escrituras y limpiezas en cola: dos guardados a la vez dejarían huérfanos los fragmentos del otro
+let chunkedMetadataQueue = Promise.resolve();
+
+/**
+ * Ejecutar una tarea sobre los fragmentos cuando terminen las anteriores
+ */
+function enqueueChunkedMetadataTask(task) {
+  const run = chunkedMetadataQueue.then(task);
+  chunkedMetadataQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Indica si un valor de room metadata es un manifiesto de fragmentos
+ */
+function isChunkedManifest(value) {
+  return !!(value && value.chunked === true && value.version);
+}
+
+/**
+ * Hash FNV-1a de 32 bits (para validar que los fragmentos reensamblados están completos)
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Items de la escena con fragmentos de una clave
+ */
+async function getMetadataChunkItems(key) {
+  if (!(await OBR.scene.isReady())) {
+    return [];
+  }
+  return OBR.scene.items.getItems(item => item.metadata?.[METADATA_CHUNK_ITEM_KEY]?.key === key);
+}
+
+/**
+ * Eliminar los fragmentos de la escena que no corresponden al manifiesto actual de su clave
+ * (versiones anteriores, claves que ya caben enteras en la room o restos de otras sesiones)
+ */
+async function deleteStaleMetadataChunks() {
+  if (!(await OBR.scene.isReady())) {
+    return;
+  }
+  const metadata = await OBR.room.getMetadata() || {};
+  const staleItems = (await OBR.scene.items.getItems(item => !!item.metadata?.[METADATA_CHUNK_ITEM_KEY]))
+    .filter(item => {
+      const chunk = item.metadata[METADATA_CHUNK_ITEM_KEY];
+      const manifest = metadata[chunk.key];
+      return !isChunkedManifest(manifest) || manifest.version !== chunk.version;
+    });
+  if (staleItems.length > 0) {
+    await OBR.scene.items.deleteItems(staleItems.map(item => item.id));
+    log(`🧹 ${staleItems.length} fragmentos obsoletos eliminados de la escena`);
+  }
+}
+
+/**
+ * Guardar un valor en room metadata, dividiéndolo en fragmentos si no cabe
+ * Las escrituras se hacen de una en una (ver enqueueChunkedMetadataTask)
+ * @param {string} key - Clave de room metadata
+ * @param {any} value - Valor a guardar
+ * @returns {Promise<'inline'|'chunked'|null>} - Dónde se guardó (null si no hay escena para los fragmentos)
+ */
+function writeChunkedMetadata(key, value) {
+  return enqueueChunkedMetadataTask(() => writeChunkedMetadataNow(key, value));
+}
+
+async function writeChunkedMetadataNow(key, value) {
+  const metadata = await OBR.room.getMetadata() || {};
+  
+  // Si cabe entero, guardarlo directamente como siempre
+  const validation = validateTotalMetadataSize(key, value, metadata);
+  if (validation.fits) {
+    await OBR.room.setMetadata({ [key]: compressJson(value) });
+    delete chunkedMetadataValues[key];
+    await deleteStaleMetadataChunks().catch(e => console.warn('No se pudieron limpiar los fragmentos:', e));
+    return 'inline';
+  }
+  
+  // Se guarda como pendiente para escribirlo cuando se abra una escena
+  chunkedMetadataValues[key] = value;
+  if (!(await OBR.scene.isReady())) {
+    logWarn(`⚠️ ${key} no cabe en room metadata y no hay escena abierta para guardarlo en fragmentos`);
+    return null;
+  }
+  
+  const serialized = JSON.stringify(compressJson(value));
+  const hash = hashString(serialized);
+  const version = `${Date.now()}-${hash}`;
+  const chunkCount = Math.ceil(serialized.length / METADATA_CHUNK_SIZE);
+  
+  const items = [];
+  for (let index = 0; index < chunkCount; index++) {
+    items.push(
+      buildShape()
+        .shapeType('RECTANGLE')
+        .width(0)
+        .height(0)
+        .name('GM vault data')
+        .layer('CONTROL')
+        .visible(false)
+        .locked(true)
+        .disableHit(true)
+        .metadata({
+          [METADATA_CHUNK_ITEM_KEY]: {
+            key,
+            version,
+            index,
+            data: serialized.slice(index * METADATA_CHUNK_SIZE, (index + 1) * METADATA_CHUNK_SIZE)
+          }
+        })
+        .build()
+    );
+  }
+  await OBR.scene.items.addItems(items);
+  
+  // El manifiesto se escribe después de los fragmentos para que nadie lea una versión a medias
+  await OBR.room.setMetadata({
+    [key]: { chunked: true, version, chunkCount, size: serialized.length, hash }
+  });
+  await deleteStaleMetadataChunks().catch(e => console.warn('No se pudieron limpiar los fragmentos:', e));
+  
+  log(`🧩 ${key} guardado en ${chunkCount} fragmentos (${(serialized.length / 1024).toFixed(1)}KB)`);
+  return 'chunked';
+}
+
+/**
+ * Leer un valor de room metadata, reensamblando los fragmentos si hay un manifiesto
+ * @param {string} key - Clave de room metadata
+ * @param {object} metadata - Room metadata ya leída (opcional)
+ * @returns {Promise<any|null>} - null si los fragmentos no están disponibles o están incompletos
+ */
+async function readChunkedMetadata(key, metadata = null) {
+  const roomMetadata = metadata || await OBR.room.getMetadata();
+  const value = roomMetadata ? roomMetadata[key] : null;
+  if (!isChunkedManifest(value)) {
+    return value || null;
+  }
+  
+  const cachedRead = chunkedMetadataReadCache[key];
+  if (cachedRead && cachedRead.version === value.version) {
+    return cachedRead.value;
+  }
+  
+  // Los items pueden llegar un poco después que el manifiesto: reintentar
+  for (let attempt = 0; attempt < METADATA_CHUNK_READ_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, METADATA_CHUNK_READ_RETRY_DELAY));
+    }
+    try {
+      const chunks = (await getMetadataChunkItems(key))
+        .map(item => item.metadata[METADATA_CHUNK_ITEM_KEY])
+        .filter(chunk => chunk.version === value.version)
+        .sort((a, b) => a.index - b.index);
+      if (chunks.length !== value.chunkCount) {
+        continue;
+      }
+      
+      const serialized = chunks.map(chunk => chunk.data).join('');
+      if (serialized.length !== value.size || hashString(serialized) !== value.hash) {
+        console.warn(`⚠️ Fragmentos corruptos para ${key}, se ignoran`);
+        return null;
+      }
+      
+      const parsed = JSON.parse(serialized);
+      chunkedMetadataReadCache[key] = { version: value.version, value: parsed };
+      return parsed;
+    } catch (e) {
+      console.warn(`Error al leer fragmentos de ${key}:`, e);
+    }
+  }
+  
+  logWarn(`⚠️ Fragmentos incompletos para ${key} (¿no hay escena abierta?)`);
+  return null;
+}
+
+/**
+ * Eliminar todos los fragmentos de la escena actual
+ */
+function deleteAllMetadataChunks() {
+  return enqueueChunkedMetadataTask(async () => {
+    if (!(await OBR.scene.isReady())) {
+      return;
+    }
+    const items = await OBR.scene.items.getItems(item => !!item.metadata?.[METADATA_CHUNK_ITEM_KEY]);
+    if (items.length > 0) {
+      await OBR.scene.items.deleteItems(items.map(item => item.id));
+    }
+  });
+}
+
+/**
+ * Master GM: los fragmentos viven en la escena, así que al abrir otra se vuelven a escribir
+ * y se eliminan los que quedaron de versiones anteriores
+ */
+function setupChunkedMetadataSceneSync() {
+  OBR.scene.onReadyChange(async (ready) => {
+    if (!ready) return;
+    for (const key of Object.keys(chunkedMetadataValues)) {
+      try {
+        await writeChunkedMetadata(key, chunkedMetadataValues[key]);
+      } catch (e) {
+        console.warn(`No se pudieron reescribir los fragmentos de ${key}:`, e);
+      }
+    }
+    enqueueChunkedMetadataTask(deleteStaleMetadataChunks)
+      .catch(e => console.warn('No se pudieron limpiar los fragmentos:', e));
+  });
+}
+
 /**
  * Filtra la configuración para incluir solo páginas visibles para players
  * Se usa para guardar en room metadata (optimiza espacio)
@@ -764,16 +998,29 @@ function validateTotalMetadataSize(metadataKey, newValue, currentMetadata = {})
  * @returns {object} - Configuración filtrada solo con páginas visibles
  */
 function filterVisiblePagesForMetadata(config) {
+  // Solo las páginas para todos: las compartidas con algunos players van cifradas a cada uno
+  return filterVaultPages(config, page => page.visibleToPlayers === true);
+}
+
+/**
+ * Filtra la configuración con las páginas que cumplan una condición (sin datos que solo usa el GM)
+ * @param {object} config - Configuración completa del GM
+ * @param {function} isIncluded - (page, audiences) => boolean; audiences son los visibleTo de la página y sus carpetas
+ * @returns {object}
+ */
+function filterVaultPages(config, isIncluded) {
   if (!config || !config.categories) {
     return { categories: [] };
   }
   
-  const filterCategory = (category) => {
+  const filterCategory = (category, parentAudiences) => {
+    const audiences = category.visibleTo ? [...parentAudiences, category.visibleTo] : parentAudiences;
+    
     // Filtrar páginas visibles
     const visiblePages = (category.pages || []).filter(page => 
-      page.visibleToPlayers === true && 
       page.url && 
-      !page.url.includes('...')
+      !page.url.includes('...') &&
+      isIncluded(page, page.visibleTo ? [...audiences, page.visibleTo] : audiences)
     ).map(page => ({
       name: page.name,
       url: page.url,
@@ -781,12 +1028,13 @@ function filterVisiblePagesForMetadata(config) {
       visibleToPlayers: true,
       // Solo incluir campos esenciales para reducir tamaño
       ...(page.selector ? { selector: page.selector } : {}),
-      ...(page.blockTypes ? { blockTypes: page.blockTypes } : {})
+      ...(page.blockTypes ? { blockTypes: page.blockTypes } : {}),
+      ...(page.playerBlocks ? { playerBlocks: page.playerBlocks } : {})
     }));
     
     // Filtrar subcategorías recursivamente
     const filteredSubcategories = (category.categories || [])
-      .map(filterCategory)
+      .map(subCategory => filterCategory(subCategory, audiences))
       .filter(subCat => 
         subCat !== null && (
           (subCat.pages && subCat.pages.length > 0) || 
@@ -809,7 +1057,7 @@ function filterVisiblePagesForMetadata(config) {
   };
   
   const filteredCategories = config.categories
-    .map(filterCategory)
+    .map(category => filterCategory(category, []))
     .filter(cat => cat !== null);
   
   return {
@@ -818,6 +1066,84 @@ function filterVisiblePagesForMetadata(config) {
   };
 }
 
+/**
+ * Comprueba si un player está en alguna de las audiencias (visibleTo: { players: [{id, name}], groups: [name] })
+ * Se compara por ID de OBR y, si no coincide, por nombre (los IDs de invitados cambian entre sesiones)
+ * @param {Array<object>} audiences - visibleTo de la página y de sus carpetas
+ * @param {{id, name}} player - Player de OBR
+ * @param {Array<object>} playerGroups - Grupos del vault ({ name, players: [{id, name}] })
+ */
+function isPlayerInAudiences(audiences, player, playerGroups) {
+  const matches = (member) => member && (member.id === player.id ||
+    (member.name && player.name && member.name.toLowerCase() === player.name.toLowerCase()));
+  
+  return audiences.some(audience => 
+    (audience.players || []).some(matches) ||
+    (audience.groups || []).some(groupName => {
+      const group = (playerGroups || []).find(g => g.name === groupName);
+      return group && (group.players || []).some(matches);
+    })
+  );
+}
+
+/**
+ * Páginas compartidas solo con algunos players a las que tiene acceso este player
+ * @param {object} config - Configuración completa del GM
+ * @param {{id, name}} player - Player de OBR
+ */
+function filterPersonalPages(config, player) {
+  return filterVaultPages(config, (page, audiences) => 
+    page.visibleToPlayers !== true && isPlayerInAudiences(audiences, player, config?.playerGroups)
+  );
+}
+
+/**
+ * Comprueba si una página está compartida solo con algunos players (ella o alguna de sus carpetas)
+ * @param {object} config - Configuración completa del GM
+ * @param {string} pageId - ID de la página de Notion
+ */
+function isRestrictedPage(config, pageId) {
+  const search = (category, hasAudience) => {
+    const restricted = hasAudience || Boolean(category.visibleTo);
+    return (category.pages || []).some(page => 
+      page.visibleToPlayers !== true &&
+      (restricted || Boolean(page.visibleTo)) &&
+      page.url && extractNotionPageId(page.url) === pageId
+    ) || (category.categories || []).some(subCategory => search(subCategory, restricted));
+  };
+  return (config?.categories || []).some(category => search(category, false));
+}
+
+/**
+ * Añadir las páginas personales de un player a la configuración visible para todos
+ * @param {object} config - Configuración visible para todos
+ * @param {object} personalConfig - Páginas compartidas solo con este player
+ */
+function mergePersonalPages(config, personalConfig) {
+  const result = JSON.parse(JSON.stringify(config || { categories: [] }));
+  
+  const mergeFolder = (target, source) => {
+    (source.pages || []).forEach(page => {
+      if (!Array.isArray(target.pages)) target.pages = [];
+      if (!target.pages.some(p => p.url === page.url && p.name === page.name)) {
+        target.pages.push(page);
+      }
+    });
+    (source.categories || []).forEach(sourceCategory => {
+      if (!Array.isArray(target.categories)) target.categories = [];
+      let targetCategory = target.categories.find(c => c.name === sourceCategory.name);
+      if (!targetCategory) {
+        targetCategory = { name: sourceCategory.name, ...(sourceCategory.icon ? { icon: sourceCategory.icon } : {}) };
+        target.categories.push(targetCategory);
+      }
+      mergeFolder(targetCategory, sourceCategory);
+    });
+  };
+  
+  mergeFolder(result, personalConfig || {});
+  return result;
+}
+
 // ============================================
 // SISTEMA DE OWNERSHIP (Master GM / Co-GM)
 // ============================================
@@ -825,7 +1151,7 @@ function filterVisiblePagesForMetadata(config) {
 // Variable para almacenar el intervalo del heartbeat
 let ownerHeartbeatInterval = null;
 
-// Variable global para indicar si el usuario es Co-GM (solo lectura)
+// Variable global para indicar si el usuario es Co-GM (propone cambios al Master GM)
 let isCoGMGlobal = false;
 
 // Variable global para el roomId (se establece una vez al inicio)
@@ -952,7 +1278,7 @@ function stopOwnerHeartbeat() {
 }
 
 /**
- * Detecta si el GM actual está en modo Co-GM (solo lectura)
+ * Detecta si el GM actual está en modo Co-GM (edita el vault del Master GM)
  * @returns {Promise<boolean>}
  */
 async function isCoGMMode() {
@@ -969,6 +1295,176 @@ async function isCoGMMode() {
   }
 }
 
+// ============================================
+// TRASPASO DEL VAULT ENTRE GMs
+// ============================================
+// El Master GM puede ceder el vault a otro GM conectado, y un Co-GM puede quedárselo si el
+// Master GM se desconecta, sin esperar a OWNER_TIMEOUT. Quien pasa a ser owner copia el vault
+// completo a su localStorage y recarga; el antiguo owner detecta el cambio y recarga como Co-GM
+
+const BROADCAST_CHANNEL_VAULT_HANDOFF = 'com.dmscreen/vaultHandoff';
+// Si el GM destino no reclama el vault en este tiempo, el traspaso se cancela
+const VAULT_HANDOFF_TIMEOUT = 15000; // 15 segundos
+
+let vaultHandoffTimeout = null;
+// Co-GM: ya se avisó de que el Master GM salió de la room
+let ownerAbsenceNotified = false;
+
+/**
+ * GMs conectados a la room (sin contar al jugador actual)
+ * @returns {Promise<Array<{id, name}>>}
+ */
+async function getConnectedGMs() {
+  try {
+    const players = await OBR.party.getPlayers();
+    // Un mismo jugador puede tener varias conexiones abiertas
+    const gms = new Map();
+    players
+      .filter(player => player.role === 'GM')
+      .forEach(player => gms.set(player.id, { id: player.id, name: player.name }));
+    return [...gms.values()];
+  } catch (e) {
+    console.warn('⚠️ No se pudo obtener la lista de jugadores:', e);
+    return [];
+  }
+}
+
+/**
+ * Pasar a ser owner del vault: guarda la configuración completa recibida como Co-GM y recarga como Master GM
+ * @param {string} roomId - ID de la room
+ * @returns {Promise<boolean>}
+ */
+async function claimVaultOwnership(roomId) {
+  // Solo el vault completo del Master GM (recibido o guardado): las páginas visibles borrarían las ocultas
+  const vaultConfig = getCoGMFullVault(roomId);
+  if (!vaultConfig) {
+    alert('❌ This browser has no copy of the full vault. Wait for the vault owner to reconnect, or ask them to transfer the vault to you.');
+    return false;
+  }
+  try {
+    localStorage.setItem(getStorageKey(roomId), JSON.stringify(vaultConfig, null, 2));
+  } catch (e) {
+    console.error('Error al guardar el vault recibido:', e);
+    if (e.name === 'QuotaExceededError') {
+      showStorageLimitModal('saving the vault');
+    }
+    return false;
+  }
+  
+  const ownerInfo = await setVaultOwner(roomId);
+  if (!ownerInfo) {
+    alert('❌ Could not take over the vault. Please try again.');
+    return false;
+  }
+  
+  log('👑 Vault reclamado, recargando como Master GM');
+  window.location.reload();
+  return true;
+}
+
+/**
+ * Master GM: ceder el vault a otro GM conectado
+ * @param {{id, name}} target - GM destino
+ * @param {string} roomId - ID de la room
+ */
+async function transferVaultOwnership(target, roomId) {
+  const config = getPagesJSON(roomId) || { categories: [] };
+  
+  // El destino se queda con la configuración completa que recibe como Co-GM: enviarle la última
+  if (vaultSnapshotWriteTimer) {
+    clearTimeout(vaultSnapshotWriteTimer);
+    vaultSnapshotWriteTimer = null;
+  }
+  await writeVaultSnapshot(config, filterVisiblePagesForMetadata(config));
+  
+  // Sin heartbeat mientras dura el traspaso: el destino escribe su propio VAULT_OWNER_KEY
+  stopOwnerHeartbeat();
+  try {
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_VAULT_HANDOFF, {
+      toId: target.id
+    });
+  } catch (e) {
+    console.error('Error al enviar el traspaso del vault:', e);
+    startOwnerHeartbeat(roomId);
+    alert('❌ Could not transfer the vault. Please try again.');
+    return false;
+  }
+  log('📤 Traspaso del vault enviado a', target.name);
+  
+  vaultHandoffTimeout = setTimeout(() => {
+    vaultHandoffTimeout = null;
+    startOwnerHeartbeat(roomId);
+    alert(`❌ ${target.name} did not take the vault. You are still the vault owner.`);
+  }, VAULT_HANDOFF_TIMEOUT);
+  return true;
+}
+
+/**
+ * GMs: aceptar los traspasos dirigidos a mí y recargar si otro GM pasa a ser owner
+ * @param {string} roomId - ID de la room
+ */
+function setupVaultHandoffListeners(roomId) {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_VAULT_HANDOFF, async (event) => {
+    const data = event.data;
+    if (!data) return;
+    const myId = await OBR.player.getId();
+    if (data.toId !== myId) return;
+    
+    // Solo vale un traspaso enviado desde la conexión del owner actual
+    const [sender, ownership] = await Promise.all([getBroadcastSender(event), checkVaultOwnership()]);
+    if (!sender || !ownership.hasOwner || sender.id !== ownership.ownerInfo.playerId) {
+      logWarn('⚠️ Traspaso del vault ignorado: no lo envía el owner actual');
+      return;
+    }
+    if (!confirm(`${sender.name} is handing the vault over to you. Replace the vault saved in this browser with theirs?`)) {
+      log('🚫 Traspaso del vault rechazado');
+      return;
+    }
+    
+    log('📥 Recibiendo el vault de', sender.name);
+    await claimVaultOwnership(roomId);
+  });
+  
+  OBR.room.onMetadataChange(async (metadata) => {
+    const ownerInfo = metadata ? metadata[VAULT_OWNER_KEY] : null;
+    if (isCoGMGlobal || !ownerInfo) return;
+    const myId = await OBR.player.getId();
+    if (ownerInfo.playerId === myId) return;
+    
+    // Otro GM tiene ahora el vault (traspaso o toma de control): recargar como Co-GM
+    if (vaultHandoffTimeout) {
+      clearTimeout(vaultHandoffTimeout);
+      vaultHandoffTimeout = null;
+    }
+    stopOwnerHeartbeat();
+    log('🔄 El vault pasó a', ownerInfo.playerName, '- recargando como Co-GM');
+    window.location.reload();
+  });
+}
+
+/**
+ * Co-GM: avisar en cuanto el Master GM sale de la room (sin esperar a OWNER_TIMEOUT)
+ */
+function setupOwnerPresenceWatcher() {
+  const checkPresence = async (players) => {
+    if (!isCoGMGlobal) return;
+    const ownership = await checkVaultOwnership();
+    if (!ownership.hasOwner) return;
+    
+    const ownerPresent = players.some(player => player.id === ownership.ownerInfo.playerId);
+    if (!ownerPresent && !ownerAbsenceNotified) {
+      ownerAbsenceNotified = true;
+      showMasterGMDisconnectedBanner(ownership);
+    } else if (ownerPresent && ownerAbsenceNotified) {
+      ownerAbsenceNotified = false;
+      hideCoGMToast();
+    }
+  };
+  
+  OBR.party.onChange(checkPresence);
+  OBR.party.getPlayers().then(checkPresence).catch(() => {});
+}
+
 /**
  * Cuenta el total de páginas en una configuración
  * @param {object} config - Configuración del vault
@@ -1147,53 +1643,1388 @@ function setupGMVisiblePagesBroadcast() {
   log('🎧 GM escuchando solicitudes de lista de páginas visibles');
 }
 
-// Caché local de HTML renderizado (solo en memoria del GM)
-let localHtmlCache = {};
+// ============================================
+// PÁGINAS COMPARTIDAS CON PLAYERS CONCRETOS
+// ============================================
+// Las páginas compartidas solo con algunos players no pasan por room metadata ni por los canales
+// que reciben todos: el Master GM las envía a cada player cifradas con una clave acordada por
+// ECDH, así el resto de clientes solo recibe datos que no puede leer
 
-// Cache local para evitar lecturas repetidas (se sincroniza con room metadata)
-let pagesConfigCache = null;
+const BROADCAST_CHANNEL_REQUEST_PERSONAL_PAGES = 'com.dmscreen/requestPersonalPages';
+const BROADCAST_CHANNEL_PERSONAL_PAGES = 'com.dmscreen/personalPages';
+// El Master GM avisa al arrancar para que los players vuelvan a pedir sus páginas
+const BROADCAST_CHANNEL_PERSONAL_PAGES_HELLO = 'com.dmscreen/personalPagesHello';
+const PERSONAL_PAGES_KEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
 
-function getPagesJSON(roomId) {
-  // Primero intentar desde el cache
-  if (pagesConfigCache) {
-    log('✅ Usando configuración desde cache');
-    return pagesConfigCache;
-  }
-  
-  // Fallback a localStorage
-  return getPagesJSONFromLocalStorage(roomId);
+// Master GM: sesiones cifradas por player (playerId → { player, connectionId, key, gmPublicKey, playerKey, lastSent })
+const personalPagesSessions = new Map();
+// Player: su par de claves, la clave acordada con el GM y sus páginas personales
+let personalPagesKeyPair = null;
+let personalPagesPublicJwk = null;
+let personalPagesSharedKey = null;
+let personalPagesSharedKeyId = null;
+let personalVaultConfig = null;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
 }
 
-// Función para obtener directamente de localStorage (ignora cache)
-// Útil para el GM que siempre debe usar su localStorage
-function getPagesJSONFromLocalStorage(roomId) {
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Clave AES-GCM acordada entre mi clave privada y la clave pública del otro extremo
+ */
+async function derivePersonalPagesKey(privateKey, publicJwk) {
+  const publicKey = await crypto.subtle.importKey('jwk', publicJwk, PERSONAL_PAGES_KEY_ALGORITHM, false, []);
+  return crypto.subtle.deriveKey(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptPersonalPayload(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encoded = new TextEncoder().encode(JSON.stringify(value));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function decryptPersonalPayload(key, payload) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+    key,
+    base64ToBytes(payload.data)
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Master GM: cifrar un valor para la sesión de un player
+ * @returns {Promise<object>} - { playerKey, gmPublicKey, iv, data }
+ */
+async function sealForPlayer(session, value) {
+  const payload = await encryptPersonalPayload(session.key, value);
+  return { playerKey: session.playerKey, gmPublicKey: session.gmPublicKey, ...payload };
+}
+
+/**
+ * Player: descifrar un mensaje dirigido a mí (null si es para otro player o no se puede leer)
+ */
+async function openPersonalPayload(sealed) {
+  if (!sealed || !personalPagesKeyPair || sealed.playerKey !== personalPagesPublicJwk?.x) return null;
   try {
-    const storageKey = getStorageKey(roomId);
-    log('🔍 Buscando configuración con clave:', storageKey, 'para roomId:', roomId);
-    const stored = localStorage.getItem(storageKey);
-    if (stored) {
-      const parsed = JSON.parse(stored);
-      log('✅ Configuración encontrada para room:', roomId);
-      return parsed;
-    } else {
-      log('⚠️ No se encontró configuración para room:', roomId);
+    // La clave del GM cambia si recarga: volver a acordarla
+    if (personalPagesSharedKeyId !== sealed.gmPublicKey.x) {
+      personalPagesSharedKey = await derivePersonalPagesKey(personalPagesKeyPair.privateKey, sealed.gmPublicKey);
+      personalPagesSharedKeyId = sealed.gmPublicKey.x;
     }
+    return await decryptPersonalPayload(personalPagesSharedKey, sealed);
   } catch (e) {
-    console.error('Error al leer JSON:', e);
+    console.warn('⚠️ No se pudo descifrar el mensaje del GM:', e);
+    return null;
   }
-  return null;
 }
 
-async function savePagesJSON(json, roomId) {
-  try {
-    // Actualizar cache local
-    pagesConfigCache = json;
-    
-    // Guardar en localStorage (para persistencia local)
-    const storageKey = getStorageKey(roomId);
-    log('💾 Guardando configuración con clave:', storageKey, 'para roomId:', roomId);
-    
-    try {
+/**
+ * Master GM: acordar una clave con la conexión que envió su clave pública
+ */
+async function createPersonalSession(sender, publicKey) {
+  const gmKeyPair = await crypto.subtle.generateKey(PERSONAL_PAGES_KEY_ALGORITHM, true, ['deriveKey']);
+  return {
+    player: { id: sender.id, name: sender.name },
+    connectionId: sender.connectionId,
+    key: await derivePersonalPagesKey(gmKeyPair.privateKey, publicKey),
+    gmPublicKey: await crypto.subtle.exportKey('jwk', gmKeyPair.publicKey),
+    playerKey: publicKey.x,
+    lastSent: null
+  };
+}
+
+/**
+ * Player y Co-GM: par de claves de este cliente para las sesiones con el Master GM (se genera una vez)
+ * @returns {Promise<object>} - Clave pública en JWK
+ */
+async function ensurePersonalPagesKeyPair() {
+  if (!personalPagesKeyPair) {
+    personalPagesKeyPair = await crypto.subtle.generateKey(PERSONAL_PAGES_KEY_ALGORITHM, false, ['deriveKey']);
+    personalPagesPublicJwk = await crypto.subtle.exportKey('jwk', personalPagesKeyPair.publicKey);
+  }
+  return personalPagesPublicJwk;
+}
+
+/**
+ * Player de la party que envió un mensaje (por su conexión, no por lo que diga el mensaje)
+ */
+async function getBroadcastSender(event) {
+  try {
+    const players = await OBR.party.getPlayers();
+    return players.find(player => player.connectionId === event.connectionId) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Master GM: enviar a un player sus páginas personales si han cambiado
+ */
+async function sendPersonalPages(session, config) {
+  const personalConfig = filterPersonalPages(config, session.player);
+  const serialized = JSON.stringify(personalConfig);
+  if (serialized === session.lastSent) return;
+  session.lastSent = serialized;
+  
+  try {
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_PERSONAL_PAGES, await sealForPlayer(session, personalConfig));
+    log('📤 Páginas personales enviadas a', session.player.name, '-', countPages(personalConfig), 'páginas');
+  } catch (e) {
+    console.warn('⚠️ No se pudieron enviar las páginas personales:', e);
+  }
+}
+
+/**
+ * Master GM: reenviar las páginas personales tras un cambio del vault
+ */
+function publishPersonalPages(config) {
+  personalPagesSessions.forEach(session => {
+    sendPersonalPages(session, config);
+  });
+}
+
+/**
+ * Master GM: abrir sesiones cifradas con los players que lo piden
+ */
+function setupPersonalPagesResponder() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_REQUEST_PERSONAL_PAGES, async (event) => {
+    const data = event.data;
+    if (isCoGMGlobal || !data || !data.publicKey) return;
+    
+    const sender = await getBroadcastSender(event);
+    if (!sender || sender.role === 'GM') return;
+    
+    try {
+      const session = await createPersonalSession(sender, data.publicKey);
+      personalPagesSessions.set(sender.id, session);
+      log('🔐 Sesión de páginas personales con', sender.name);
+      
+      const config = pagesConfigCache || getPagesJSON(OBR.room.id);
+      if (config) {
+        await sendPersonalPages(session, config);
+      }
+    } catch (e) {
+      console.warn('⚠️ No se pudo abrir la sesión de páginas personales:', e);
+    }
+  });
+  
+  // Los players conectados antes que el GM vuelven a pedir sus páginas
+  OBR.broadcast.sendMessage(BROADCAST_CHANNEL_PERSONAL_PAGES_HELLO, {}).catch(() => {});
+}
+
+/**
+ * Player: pedir al GM las páginas compartidas solo conmigo
+ */
+async function requestPersonalPages() {
+  try {
+    const publicKey = await ensurePersonalPagesKeyPair();
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST_PERSONAL_PAGES, { publicKey });
+  } catch (e) {
+    console.warn('⚠️ No se pudieron pedir las páginas personales:', e);
+  }
+}
+
+/**
+ * Player: recibir mis páginas personales y mostrarlas junto a las de todos
+ */
+function setupPersonalPagesListener(roomId) {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_PERSONAL_PAGES, async (event) => {
+    const personalConfig = await openPersonalPayload(event.data);
+    if (!personalConfig || isSameJson(personalConfig, personalVaultConfig)) return;
+    
+    personalVaultConfig = personalConfig;
+    log('🔐 Páginas personales recibidas:', countPages(personalConfig));
+    const pageList = document.getElementById('page-list');
+    if (pageList) {
+      await renderPagesByCategories(pagesConfigCache || { categories: [] }, pageList, roomId);
+    }
+  });
+  
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_PERSONAL_PAGES_HELLO, () => {
+    requestPersonalPages();
+  });
+  
+  requestPersonalPages();
+}
+
+// ============================================
+// VAULT COMPLETO PARA CO-GM
+// ============================================
+// La configuración completa (con las páginas ocultas y restringidas) solo llega a los GMs: el
+// Master GM abre una sesión ECDH con cada conexión de Co-GM y le envía snapshots y deltas cifrados
+
+const BROADCAST_CHANNEL_REQUEST_COGM_VAULT = 'com.dmscreen/requestCoGMVault';
+const BROADCAST_CHANNEL_COGM_VAULT = 'com.dmscreen/coGMVault';
+// Caracteres cifrados por mensaje (el snapshot completo se envía en varias partes)
+const COGM_VAULT_PART_SIZE = 16 * 1024;
+
+// Master GM: sesiones cifradas por conexión de Co-GM (connectionId → sesión)
+const coGMVaultSessions = new Map();
+// Sin respuesta del Master GM en este tiempo, el Co-GM carga su última copia en solo lectura
+const COGM_VAULT_LOAD_TIMEOUT = 10000; // 10 segundos
+// Co-GM: última copia del vault completo guardada en este navegador (por room)
+const COGM_VAULT_COPY_PREFIX = 'com.dmscreen/coGMVaultCopy-';
+
+// Co-GM: partes recibidas por transferencia (transferId → { connectionId, parts })
+const coGMVaultTransfers = new Map();
+// Co-GM: espera del primer snapshot durante la carga inicial
+let coGMVaultSnapshotWaiter = null;
+// Co-GM: sin vault del Master GM, se muestra la copia guardada sin poder proponer cambios
+let coGMVaultReadOnly = false;
+
+/**
+ * Master GM: enviar un mensaje cifrado a la sesión de un Co-GM ({ version, snapshot } o un delta)
+ */
+async function sendCoGMVaultMessage(session, value) {
+  const body = JSON.stringify(await sealForPlayer(session, value));
+  const transferId = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+  const total = Math.max(1, Math.ceil(body.length / COGM_VAULT_PART_SIZE));
+  for (let seq = 0; seq < total; seq++) {
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_COGM_VAULT, {
+      playerKey: session.playerKey,
+      transferId,
+      seq,
+      total,
+      data: body.slice(seq * COGM_VAULT_PART_SIZE, (seq + 1) * COGM_VAULT_PART_SIZE)
+    });
+  }
+}
+
+/**
+ * Master GM: enviar el mismo mensaje a todos los Co-GMs con sesión
+ * @returns {Promise<boolean>} - false si algún envío falló
+ */
+async function publishToCoGMs(value) {
+  const results = await Promise.all([...coGMVaultSessions.values()].map(session =>
+    sendCoGMVaultMessage(session, value)
+      .then(() => true)
+      .catch(e => {
+        console.warn('⚠️ No se pudo enviar el vault a', session.player.name, e);
+        return false;
+      })
+  ));
+  return results.every(Boolean);
+}
+
+/**
+ * Master GM: enviar a un Co-GM la configuración completa actual
+ */
+function sendCoGMVaultSnapshot(session) {
+  const config = vaultSyncBaseline?.full || getPagesJSON(currentRoomId || OBR.room.id) || { categories: [] };
+  return sendCoGMVaultMessage(session, { version: vaultSyncVersion, snapshot: config });
+}
+
+/**
+ * Master GM: abrir sesiones cifradas con los GMs que piden el vault completo
+ */
+function setupCoGMVaultResponder() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_REQUEST_COGM_VAULT, async (event) => {
+    const data = event.data;
+    if (isCoGMGlobal || !data || !data.publicKey) return;
+    
+    const sender = await getBroadcastSender(event);
+    if (!sender || sender.role !== 'GM') {
+      logWarn('⚠️ Petición del vault completo ignorada: no la envía un GM');
+      return;
+    }
+    
+    try {
+      const session = await createPersonalSession(sender, data.publicKey);
+      coGMVaultSessions.set(sender.connectionId, session);
+      log('🔐 Sesión del vault completo con', sender.name);
+      await sendCoGMVaultSnapshot(session);
+    } catch (e) {
+      console.warn('⚠️ No se pudo abrir la sesión del vault completo:', e);
+    }
+  });
+  
+  // Cerrar las sesiones de las conexiones que salen de la room o dejan de ser GM
+  OBR.party.onChange((players) => {
+    coGMVaultSessions.forEach((session, connectionId) => {
+      const isStillGM = players.some(player => player.connectionId === connectionId && player.role === 'GM');
+      if (!isStillGM) {
+        coGMVaultSessions.delete(connectionId);
+        log('🔒 Sesión del vault completo cerrada:', session.player.name);
+      }
+    });
+  });
+}
+
+/**
+ * Co-GM: pedir al Master GM el vault completo (abre una sesión nueva y recibe un snapshot)
+ */
+async function requestCoGMVault() {
+  try {
+    const publicKey = await ensurePersonalPagesKeyPair();
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST_COGM_VAULT, { publicKey });
+  } catch (e) {
+    console.warn('⚠️ No se pudo pedir el vault completo:', e);
+  }
+}
+
+/**
+ * Co-GM: reensamblar y descifrar los mensajes del Master GM
+ * @returns {Promise<object|null>} - Mensaje completo, o null si faltan partes o no es para mí
+ */
+async function receiveCoGMVaultPart(event) {
+  const data = event.data;
+  if (!data || !personalPagesPublicJwk || data.playerKey !== personalPagesPublicJwk.x) return null;
+  
+  const transfer = coGMVaultTransfers.get(data.transferId) || { connectionId: event.connectionId, parts: [] };
+  if (transfer.connectionId !== event.connectionId) return null;
+  transfer.parts[data.seq] = data.data;
+  coGMVaultTransfers.set(data.transferId, transfer);
+  if (transfer.parts.filter(part => part !== undefined).length < data.total) return null;
+  coGMVaultTransfers.delete(data.transferId);
+  
+  // Cualquiera puede cifrar para mi clave pública: solo vale lo que envía el owner del vault
+  const [sender, ownership] = await Promise.all([getBroadcastSender(event), checkVaultOwnership()]);
+  if (!sender || !ownership.hasOwner || sender.id !== ownership.ownerInfo.playerId) {
+    logWarn('⚠️ Vault completo ignorado: no lo envía el owner');
+    return null;
+  }
+  try {
+    return await openPersonalPayload(JSON.parse(transfer.parts.join('')));
+  } catch (e) {
+    console.warn('⚠️ No se pudo leer el vault completo:', e);
+    return null;
+  }
+}
+
+/**
+ * Co-GM: guardar el vault completo recibido, para leerlo y poder tomar el control si el Master GM no está
+ */
+function saveCoGMVaultCopy(roomId, config) {
+  try {
+    localStorage.setItem(COGM_VAULT_COPY_PREFIX + roomId, JSON.stringify({ config, savedAt: new Date().toISOString() }));
+  } catch (e) {
+    console.warn('⚠️ No se pudo guardar la copia del vault completo:', e);
+  }
+}
+
+/**
+ * Co-GM: leer la última copia guardada del vault completo
+ * @returns {object|null} - { config, savedAt }
+ */
+function loadCoGMVaultCopy(roomId) {
+  try {
+    const copy = JSON.parse(localStorage.getItem(COGM_VAULT_COPY_PREFIX + roomId));
+    return copy && copy.config && Array.isArray(copy.config.categories) ? copy : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Co-GM: vault completo disponible (el recibido del Master GM o, sin él, la última copia guardada)
+ * @returns {object|null}
+ */
+function getCoGMFullVault(roomId) {
+  return vaultSyncedConfig || loadCoGMVaultCopy(roomId)?.config || null;
+}
+
+/**
+ * Co-GM: esperar el primer snapshot del Master GM (carga inicial)
+ * @returns {Promise<object|null>} - { version, snapshot } o null si no responde
+ */
+function waitForCoGMVaultSnapshot() {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      log('⏰ Timeout esperando el vault completo del Master GM');
+      coGMVaultSnapshotWaiter = null;
+      resolve(null);
+    }, COGM_VAULT_LOAD_TIMEOUT);
+    coGMVaultSnapshotWaiter = (message) => {
+      clearTimeout(timeout);
+      coGMVaultSnapshotWaiter = null;
+      resolve(message);
+    };
+  });
+}
+
+/**
+ * Co-GM: aplicar los snapshots y deltas cifrados del Master GM
+ */
+function setupCoGMVaultListener(roomId) {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_COGM_VAULT, async (event) => {
+    if (!isCoGMGlobal) return;
+    const message = await receiveCoGMVaultPart(event);
+    if (!message) return;
+    if (message.snapshot && coGMVaultSnapshotWaiter) {
+      coGMVaultSnapshotWaiter(message);
+      return;
+    }
+    await applyVaultSyncMessage(message, roomId);
+  });
+  
+  // El Master GM avisa al arrancar: sus sesiones anteriores ya no existen
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_PERSONAL_PAGES_HELLO, () => {
+    requestCoGMVault();
+  });
+  
+  requestCoGMVault();
+}
+
+// ============================================
+// SINCRONIZACIÓN INCREMENTAL DEL VAULT (deltas)
+// ============================================
+// Cada cambio del Master GM se emite como una lista de operaciones (add/edit/move/delete/visibility)
+// con número de versión. La room metadata se reescribe más tarde, como snapshot para quien se conecte
+
+const BROADCAST_CHANNEL_VAULT_DELTA = 'com.dmscreen/vaultDelta';
+const BROADCAST_CHANNEL_REQUEST_VAULT_SNAPSHOT = 'com.dmscreen/requestVaultSnapshot';
+const VAULT_VERSION_KEY = 'com.dmscreen/vaultVersion';
+// Espera sin cambios antes de reescribir la room metadata
+const VAULT_SNAPSHOT_WRITE_DELAY = 2000; // 2 segundos
+// Si las operaciones ocupan más que esto, se reescribe el snapshot en lugar de enviar el delta
+const VAULT_DELTA_MAX_SIZE = 8 * 1024; // 8KB
+
+// Versión del vault: la última emitida (Master GM) o la última aplicada (Co-GM y players)
+let vaultSyncVersion = 0;
+// Master GM: última configuración emitida ({ full, visible }) para calcular el siguiente delta
+let vaultSyncBaseline = null;
+let vaultSnapshotWriteTimer = null;
+// Clientes: evita pedir varios snapshots a la vez
+let vaultSnapshotRequestPending = false;
+
+/**
+ * Comparar dos valores por su JSON
+ */
+function isSameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Propiedades propias de una carpeta (sin páginas ni subcarpetas)
+ */
+function getFolderProps(folder) {
+  const { pages, categories, ...props } = folder || {};
+  return props;
+}
+
+/**
+ * Sustituir las propiedades de una carpeta manteniendo el orden de las claves existentes
+ */
+function assignFolderProps(folder, props) {
+  Object.keys(getFolderProps(folder))
+    .filter(key => !(key in props))
+    .forEach(key => delete folder[key]);
+  Object.assign(folder, props);
+}
+
+/**
+ * Buscar el único elemento movido entre dos listas con los mismos elementos
+ * @returns {{from: number, to: number}|null}
+ */
+function findSingleMove(oldKeys, newKeys) {
+  let first = 0;
+  while (first < oldKeys.length && oldKeys[first] === newKeys[first]) first++;
+  let last = oldKeys.length - 1;
+  while (last > first && oldKeys[last] === newKeys[last]) last--;
+  
+  const candidates = [{ from: first, to: last }, { from: last, to: first }];
+  for (const move of candidates) {
+    const moved = [...oldKeys];
+    const [item] = moved.splice(move.from, 1);
+    moved.splice(move.to, 0, item);
+    if (moved.every((key, i) => key === newKeys[i])) {
+      return move;
+    }
+  }
+  return null;
+}
+
+/**
+ * Diferencias entre dos listas de páginas o carpetas
+ */
+function diffVaultList(oldList, newList, path, ops, isFolderList) {
+  if (isSameJson(oldList, newList)) return;
+  
+  const oldKeys = oldList.map(item => JSON.stringify(item));
+  const newKeys = newList.map(item => JSON.stringify(item));
+  
+  // Un elemento añadido
+  if (newList.length === oldList.length + 1) {
+    let index = 0;
+    while (index < oldKeys.length && oldKeys[index] === newKeys[index]) index++;
+    if (newKeys.filter((_, i) => i !== index).every((key, i) => key === oldKeys[i])) {
+      ops.push({ op: 'add', path, index, value: newList[index] });
+      return;
+    }
+  }
+  
+  // Un elemento eliminado
+  if (newList.length === oldList.length - 1) {
+    let index = 0;
+    while (index < newKeys.length && oldKeys[index] === newKeys[index]) index++;
+    if (oldKeys.filter((_, i) => i !== index).every((key, i) => key === newKeys[i])) {
+      ops.push({ op: 'delete', path, index });
+      return;
+    }
+  }
+  
+  if (newList.length === oldList.length) {
+    // Un elemento movido (mover arriba/abajo)
+    const move = findSingleMove(oldKeys, newKeys);
+    if (move) {
+      ops.push({ op: 'move', path, from: move.from, to: move.to });
+      return;
+    }
+    
+    // Cambios dentro de los elementos
+    newList.forEach((item, index) => {
+      if (oldKeys[index] === newKeys[index]) return;
+      if (isFolderList) {
+        diffVaultFolder(oldList[index], item, [...path, index], ops);
+      } else if (isSameJson({ ...oldList[index], visibleToPlayers: item.visibleToPlayers }, item)) {
+        ops.push({ op: 'visibility', path: [...path, index], value: item.visibleToPlayers === true });
+      } else {
+        ops.push({ op: 'edit', path: [...path, index], value: item });
+      }
+    });
+    return;
+  }
+  
+  // Cambio más complejo: reemplazar la lista entera
+  ops.push({ op: 'replace', path, value: newList });
+}
+
+/**
+ * Diferencias entre dos carpetas (o la raíz del vault)
+ */
+function diffVaultFolder(oldFolder, newFolder, path, ops) {
+  const newProps = getFolderProps(newFolder);
+  if (!isSameJson(getFolderProps(oldFolder), newProps)) {
+    ops.push({ op: 'edit', path, folder: true, value: newProps });
+  }
+  ['pages', 'categories'].forEach(key => {
+    const oldList = oldFolder?.[key];
+    const newList = newFolder?.[key];
+    // La lista aparece o desaparece (p. ej. una carpeta que se queda sin páginas visibles)
+    if (Array.isArray(oldList) !== Array.isArray(newList)) {
+      ops.push({ op: 'replace', path: [...path, key], value: newList });
+      return;
+    }
+    diffVaultList(oldList || [], newList || [], [...path, key], ops, key === 'categories');
+  });
+}
+
+/**
+ * Calcular las operaciones que transforman una configuración en otra
+ * @returns {Array<object>} - Operaciones { op, path, ... }
+ */
+function diffVaultConfig(oldConfig, newConfig) {
+  const ops = [];
+  diffVaultFolder(oldConfig || {}, newConfig || {}, [], ops);
+  return ops;
+}
+
+/**
+ * Aplicar operaciones a una configuración (devuelve una copia; lanza error si una ruta no existe)
+ */
+function applyVaultOps(config, ops) {
+  const result = JSON.parse(JSON.stringify(config || {}));
+  
+  const resolve = (path) => path.reduce((node, key) => {
+    if (node === undefined || node === null) {
+      throw new Error(`Ruta no encontrada: ${path.join('/')}`);
+    }
+    return node[key];
+  }, result);
+  
+  const resolveList = (path) => {
+    const parent = resolve(path.slice(0, -1));
+    const key = path[path.length - 1];
+    if (!parent) {
+      throw new Error(`Ruta no encontrada: ${path.join('/')}`);
+    }
+    if (!Array.isArray(parent[key])) {
+      parent[key] = [];
+    }
+    return parent[key];
+  };
+  
+  ops.forEach(operation => {
+    const { op, path } = operation;
+    switch (op) {
+      case 'add':
+        resolveList(path).splice(operation.index, 0, operation.value);
+        break;
+      case 'delete':
+        resolveList(path).splice(operation.index, 1);
+        break;
+      case 'move': {
+        const list = resolveList(path);
+        const [item] = list.splice(operation.from, 1);
+        list.splice(operation.to, 0, item);
+        break;
+      }
+      case 'visibility': {
+        const page = resolve(path);
+        if (!page) throw new Error(`Página no encontrada: ${path.join('/')}`);
+        page.visibleToPlayers = operation.value;
+        break;
+      }
+      case 'edit':
+        if (operation.folder) {
+          const folder = resolve(path);
+          if (!folder) throw new Error(`Carpeta no encontrada: ${path.join('/')}`);
+          assignFolderProps(folder, operation.value);
+        } else {
+          resolveList(path.slice(0, -1))[path[path.length - 1]] = operation.value;
+        }
+        break;
+      case 'replace': {
+        const parent = resolve(path.slice(0, -1));
+        if (!parent) throw new Error(`Ruta no encontrada: ${path.join('/')}`);
+        if (operation.value === undefined) {
+          delete parent[path[path.length - 1]];
+        } else {
+          parent[path[path.length - 1]] = operation.value;
+        }
+        break;
+      }
+      default:
+        throw new Error(`Operación desconocida: ${op}`);
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Guardar la versión del vault leída de room metadata (carga inicial de Co-GM y players)
+ */
+function rememberVaultVersion(metadata) {
+  const version = metadata ? metadata[VAULT_VERSION_KEY] : null;
+  if (typeof version === 'number') {
+    vaultSyncVersion = version;
+  }
+}
+
+/**
+ * Enviar la configuración completa a los Co-GMs y reescribir la visible en room metadata, con su versión
+ */
+async function writeVaultSnapshot(fullConfig, visibleConfig) {
+  // Co-GMs: configuración completa cifrada para cada uno
+  await publishToCoGMs({ version: vaultSyncVersion, snapshot: fullConfig });
+  
+  // La room metadata y los fragmentos los lee cualquiera: borrar el vault completo que dejaron versiones anteriores
+  try {
+    const metadata = await OBR.room.getMetadata();
+    if (metadata && metadata[FULL_CONFIG_KEY] !== undefined) {
+      await OBR.room.setMetadata({ [FULL_CONFIG_KEY]: undefined });
+      await enqueueChunkedMetadataTask(deleteStaleMetadataChunks);
+      log('🧹 Vault completo eliminado de room metadata');
+    }
+  } catch (e) {
+    console.warn('No se pudo borrar FULL_CONFIG_KEY de room metadata:', e);
+  }
+  
+  // Páginas visibles para players (en fragmentos si no caben en room metadata)
+  try {
+    const storage = await writeChunkedMetadata(ROOM_METADATA_KEY, visibleConfig);
+    if (storage) {
+      log(`✅ Configuración visible sincronizada con room metadata (${storage === 'chunked' ? 'en fragmentos' : 'completa'})`);
+    } else {
+      logWarn('⚠️ La configuración visible es demasiado grande para room metadata (>16KB) y no hay escena abierta. Usando solo broadcast.');
+      broadcastVisiblePagesUpdate(visibleConfig);
+    }
+  } catch (e) {
+    console.warn('⚠️ No se pudo sincronizar con room metadata:', e);
+  }
+  
+  // La versión va al final: los clientes solo aplican el snapshot si es más nuevo que lo que ya tienen
+  try {
+    await OBR.room.setMetadata({ [VAULT_VERSION_KEY]: vaultSyncVersion });
+  } catch (e) {
+    console.warn('No se pudo guardar la versión del vault:', e);
+  }
+}
+
+/**
+ * Programar la reescritura del snapshot (se agrupan los cambios seguidos)
+ */
+function scheduleVaultSnapshotWrite(fullConfig, visibleConfig, immediate = false) {
+  if (vaultSnapshotWriteTimer) {
+    clearTimeout(vaultSnapshotWriteTimer);
+    vaultSnapshotWriteTimer = null;
+  }
+  if (immediate) {
+    return writeVaultSnapshot(fullConfig, visibleConfig);
+  }
+  vaultSnapshotWriteTimer = setTimeout(() => {
+    vaultSnapshotWriteTimer = null;
+    writeVaultSnapshot(fullConfig, visibleConfig);
+  }, VAULT_SNAPSHOT_WRITE_DELAY);
+}
+
+/**
+ * Master GM: emitir los cambios del vault como delta
+ * @returns {Promise<boolean>} - false si hay que escribir el snapshot ya (primera vez o delta demasiado grande)
+ */
+async function publishVaultChanges(fullConfig, visibleConfig, attribution = null) {
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+  
+  if (!vaultSyncBaseline) {
+    // Primera publicación de la sesión: continuar la numeración guardada en la room
+    try {
+      const metadata = await OBR.room.getMetadata();
+      vaultSyncVersion = Math.max(vaultSyncVersion, metadata?.[VAULT_VERSION_KEY] || 0);
+    } catch (e) {
+      // Sin metadata se empieza desde la versión local
+    }
+    vaultSyncVersion++;
+    vaultSyncBaseline = { full: clone(fullConfig), visible: clone(visibleConfig) };
+    return false;
+  }
+  
+  const fullOps = diffVaultConfig(vaultSyncBaseline.full, fullConfig);
+  const visibleOps = diffVaultConfig(vaultSyncBaseline.visible, visibleConfig);
+  if (fullOps.length === 0 && visibleOps.length === 0) {
+    return true;
+  }
+  
+  const baseVersion = vaultSyncVersion;
+  const previousFull = vaultSyncBaseline.full;
+  vaultSyncVersion++;
+  vaultSyncBaseline = { full: clone(fullConfig), visible: clone(visibleConfig) };
+  
+  // Autor del cambio: se registra por elemento para detectar conflictos con las propuestas de Co-GM
+  const author = attribution?.author || await getVaultEditAuthor();
+  const changes = attribution?.changes || describeVaultOps(previousFull, fullOps);
+  recordVaultItemEdits(changes, author);
+  
+  if (getJsonSize(fullOps) > VAULT_DELTA_MAX_SIZE) {
+    log('📦 Delta del vault demasiado grande, se reescribe el snapshot');
+    return false;
+  }
+  
+  try {
+    // Por el canal abierto solo van las operaciones visibles; las completas, cifradas a cada Co-GM
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_VAULT_DELTA, {
+      target: 'visible',
+      baseVersion,
+      version: vaultSyncVersion,
+      ops: visibleOps
+    });
+    const delivered = await publishToCoGMs({
+      baseVersion,
+      version: vaultSyncVersion,
+      ops: fullOps,
+      author,
+      summary: changes.map(describeVaultChange)
+    });
+    log(`📤 Delta del vault v${vaultSyncVersion}: ${fullOps.length} operaciones (${visibleOps.length} visibles)`);
+    return delivered;
+  } catch (e) {
+    console.warn('⚠️ No se pudo enviar el delta del vault:', e);
+    return false;
+  }
+}
+
+/**
+ * Master GM: responder a las peticiones de snapshot de clientes que detectaron un salto de versión
+ */
+function setupVaultSnapshotResponder() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_REQUEST_VAULT_SNAPSHOT, async (event) => {
+    if (isCoGMGlobal || !vaultSyncBaseline) return;
+    
+    // La configuración completa solo va cifrada a la sesión de un GM
+    if (event.data?.target === 'full') {
+      const sender = await getBroadcastSender(event);
+      const session = coGMVaultSessions.get(event.connectionId);
+      if (!sender || sender.role !== 'GM' || !session) {
+        logWarn('⚠️ Petición del snapshot completo ignorada: no hay sesión de Co-GM para esta conexión');
+        return;
+      }
+      log('📨 Petición de snapshot del vault completo de', sender.name);
+      sendCoGMVaultSnapshot(session).catch(e => console.warn('⚠️ No se pudo enviar el snapshot completo:', e));
+      return;
+    }
+    
+    log('📨 Petición de snapshot del vault: visible');
+    OBR.broadcast.sendMessage(BROADCAST_CHANNEL_VAULT_DELTA, {
+      target: 'visible',
+      version: vaultSyncVersion,
+      snapshot: vaultSyncBaseline.visible
+    });
+  });
+}
+
+/**
+ * Players: aplicar los deltas visibles del Master GM (los Co-GM reciben los completos cifrados)
+ */
+function setupVaultDeltaListener(roomId) {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_VAULT_DELTA, async (event) => {
+    const data = event.data;
+    const isGM = await getUserRole();
+    if (!data || isGM || data.target !== 'visible') return;
+    await applyVaultSyncMessage(data, roomId);
+  });
+}
+
+/**
+ * Co-GM y players: aplicar un delta o snapshot del Master GM; si falta una versión, pedir el snapshot
+ */
+async function applyVaultSyncMessage(data, roomId) {
+  let newConfig = null;
+  if (data.snapshot) {
+    vaultSnapshotRequestPending = false;
+    if (data.version < vaultSyncVersion) return;
+    newConfig = data.snapshot;
+  } else {
+    if (data.version <= vaultSyncVersion) return;
+    // Co-GM: aplicar sobre lo recibido del Master GM, no sobre sus propios cambios pendientes ni su copia guardada
+    const baseConfig = isCoGMGlobal ? vaultSyncedConfig : pagesConfigCache;
+    if (data.baseVersion === vaultSyncVersion && baseConfig) {
+      try {
+        newConfig = applyVaultOps(baseConfig, data.ops || []);
+      } catch (e) {
+        console.warn('⚠️ No se pudo aplicar el delta del vault:', e);
+      }
+    }
+    if (!newConfig) {
+      // Salto de versión o delta inválido: pedir la configuración completa
+      log(`⚠️ Salto de versión del vault (local v${vaultSyncVersion}, delta v${data.baseVersion}→v${data.version}), pidiendo snapshot`);
+      if (!vaultSnapshotRequestPending) {
+        vaultSnapshotRequestPending = true;
+        OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST_VAULT_SNAPSHOT, { target: isCoGMGlobal ? 'full' : 'visible' });
+        // Si nadie responde, permitir pedirlo de nuevo en el próximo delta
+        setTimeout(() => { vaultSnapshotRequestPending = false; }, 5000);
+      }
+      return;
+    }
+  }
+  
+  vaultSyncVersion = data.version;
+  if (isCoGMGlobal) {
+    newConfig = adoptSyncedVaultConfig(newConfig, roomId);
+    if (coGMVaultReadOnly) {
+      coGMVaultReadOnly = false;
+      hideCoGMToast();
+      log('✅ [Co-GM] Vault recibido del Master GM, se puede volver a editar');
+    }
+    showVaultChangeAuthor(data);
+  }
+  if (isSameJson(newConfig, pagesConfigCache)) return;
+  pagesConfigCache = newConfig;
+  log(`🔄 Vault actualizado a v${vaultSyncVersion}`);
+  
+  const pageList = document.getElementById("page-list");
+  if (pageList) {
+    await renderPagesByCategories(newConfig, pageList, roomId);
+  }
+}
+
+// ============================================
+// EDICIÓN COLABORATIVA (Co-GM)
+// ============================================
+// El Co-GM no escribe el vault: envía sus cambios al Master GM como propuestas identificadas por
+// nombre/URL (no por posición). El Master GM las aplica sobre su configuración, gana el último
+// en escribir por elemento, y las publica como un delta más con el nombre de quien hizo el cambio
+
+const BROADCAST_CHANNEL_COGM_EDIT = 'com.dmscreen/coGMEdit';
+const BROADCAST_CHANNEL_COGM_EDIT_RESULT = 'com.dmscreen/coGMEditResult';
+// Sin respuesta del Master GM en este tiempo, se deshacen los cambios propuestos
+const COGM_EDIT_TIMEOUT = 8000; // 8 segundos
+
+// Co-GM: última configuración recibida del Master GM (sin los cambios propios pendientes)
+let vaultSyncedConfig = null;
+// Co-GM: propuestas enviadas esperando respuesta (editId → timeout)
+const pendingCoGMEdits = new Map();
+// Master GM: última edición de cada página o carpeta (clave → { authorId, authorName, version })
+const vaultItemEdits = new Map();
+let vaultActivityToastTimeout = null;
+
+/**
+ * Co-GM: guardar la configuración completa recibida del Master GM (y su copia en este navegador)
+ * @returns {object} - Copia editable para pagesConfigCache
+ */
+function adoptSyncedVaultConfig(config, roomId) {
+  vaultSyncedConfig = config;
+  saveCoGMVaultCopy(roomId, config);
+  return JSON.parse(JSON.stringify(config));
+}
+
+/**
+ * Identidad del jugador actual para atribuir los cambios
+ */
+async function getVaultEditAuthor() {
+  try {
+    const [id, name] = await Promise.all([OBR.player.getId(), OBR.player.getName()]);
+    return { id, name };
+  } catch (e) {
+    return { id: null, name: 'GM' };
+  }
+}
+
+/**
+ * Identidad de una página ({ name, url }) o carpeta ({ name }), independiente de su posición
+ */
+function getVaultItemIdentity(item, listKey) {
+  if (!item) return null;
+  return listKey === 'categories' ? { name: item.name } : { name: item.name, url: item.url };
+}
+
+/**
+ * Posición de una página o carpeta en su lista a partir de su identidad
+ */
+function findVaultItemIndex(list, identity, listKey) {
+  if (!Array.isArray(list) || !identity) return -1;
+  if (listKey === 'categories') {
+    return list.findIndex(item => item && item.name === identity.name);
+  }
+  const exact = list.findIndex(item => item && item.url === identity.url && item.name === identity.name);
+  // La página pudo cambiar de nombre mientras tanto: buscar solo por URL
+  return exact !== -1 ? exact : list.findIndex(item => item && item.url === identity.url);
+}
+
+/**
+ * Carpeta a partir de la cadena de nombres ([] es la raíz del vault)
+ */
+function findVaultFolder(config, folderNames) {
+  let folder = config;
+  for (const name of folderNames) {
+    folder = (folder?.categories || []).find(category => category && category.name === name);
+    if (!folder) return null;
+  }
+  return folder;
+}
+
+/**
+ * Traducir una operación por posición (diffVaultConfig) a un cambio por identidad
+ */
+function describeVaultOp(config, operation) {
+  const { op, path } = operation;
+  const resolve = (subPath) => subPath.reduce((node, key) => (node === undefined || node === null ? node : node[key]), config);
+  // Las rutas alternan ['categories', i, 'categories', j, ...]: los nombres de la cadena de carpetas
+  const folderNames = (folderPath) => {
+    const names = [];
+    for (let i = 0; i < folderPath.length; i += 2) {
+      names.push(resolve(folderPath.slice(0, i + 2))?.name);
+    }
+    return names;
+  };
+  
+  if (op === 'edit' && operation.folder) {
+    const oldProps = getFolderProps(resolve(path));
+    const reordered = isSameJson({ ...oldProps, order: operation.value.order }, operation.value);
+    return { type: 'editFolder', folder: folderNames(path), value: operation.value, reordered };
+  }
+  
+  if (op === 'visibility' || op === 'edit') {
+    const list = path[path.length - 2];
+    return {
+      type: op,
+      folder: folderNames(path.slice(0, -2)),
+      list,
+      item: getVaultItemIdentity(resolve(path), list),
+      value: operation.value
+    };
+  }
+  
+  const list = path[path.length - 1];
+  const folder = folderNames(path.slice(0, -1));
+  const items = resolve(path) || [];
+  switch (op) {
+    case 'add':
+      return {
+        type: 'add',
+        folder,
+        list,
+        item: getVaultItemIdentity(operation.value, list),
+        after: operation.index > 0 ? getVaultItemIdentity(items[operation.index - 1], list) : null,
+        value: operation.value
+      };
+    case 'delete':
+      return { type: 'delete', folder, list, item: getVaultItemIdentity(items[operation.index], list) };
+    case 'move': {
+      const moved = [...items];
+      const [item] = moved.splice(operation.from, 1);
+      moved.splice(operation.to, 0, item);
+      return {
+        type: 'move',
+        folder,
+        list,
+        item: getVaultItemIdentity(item, list),
+        after: operation.to > 0 ? getVaultItemIdentity(moved[operation.to - 1], list) : null
+      };
+    }
+    default:
+      return { type: 'replace', folder, list, value: operation.value };
+  }
+}
+
+/**
+ * Traducir las operaciones de un diff a cambios por identidad (se resuelven sobre la configuración de origen)
+ */
+function describeVaultOps(baseConfig, ops) {
+  return ops.map(operation => {
+    try {
+      return describeVaultOp(baseConfig || {}, operation);
+    } catch (e) {
+      console.warn('⚠️ No se pudo describir la operación del vault:', e);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Clave de la página o carpeta afectada por un cambio
+ */
+function getVaultItemKey(change) {
+  const folderPath = change.folder.join('/');
+  if (!change.item) return `folder:${folderPath}`;
+  return change.list === 'categories'
+    ? `folder:${folderPath ? `${folderPath}/` : ''}${change.item.name}`
+    : `page:${folderPath}:${change.item.url}`;
+}
+
+/**
+ * Texto legible de un cambio ("shared 'Goblin Cave' with players")
+ */
+function describeVaultChange(change) {
+  const kind = change.list === 'categories' ? 'folder' : 'page';
+  const name = change.item?.name || change.folder[change.folder.length - 1] || 'vault';
+  switch (change.type) {
+    case 'add': return `added ${kind} "${name}"`;
+    case 'delete': return `removed ${kind} "${name}"`;
+    case 'move': return `moved ${kind} "${name}"`;
+    case 'visibility': return change.value ? `shared "${name}" with players` : `hid "${name}" from players`;
+    case 'edit': return `edited ${kind} "${name}"`;
+    case 'editFolder': return change.reordered ? `reordered "${name}"` : `edited folder "${name}"`;
+    default: return `updated "${name}"`;
+  }
+}
+
+/**
+ * Master GM: registrar quién cambió cada elemento y en qué versión
+ */
+function recordVaultItemEdits(changes, author) {
+  changes.forEach(change => {
+    vaultItemEdits.set(getVaultItemKey(change), {
+      authorId: author?.id || null,
+      authorName: author?.name || 'GM',
+      version: vaultSyncVersion
+    });
+  });
+}
+
+/**
+ * Master GM: aplicar un cambio por identidad sobre la configuración (la modifica)
+ * @returns {boolean} - false si la página o carpeta ya no existe
+ */
+function applyVaultChange(config, change) {
+  const folder = findVaultFolder(config, change.folder || []);
+  if (!folder) return false;
+  
+  if (change.type === 'editFolder') {
+    assignFolderProps(folder, change.value || {});
+    return true;
+  }
+  if (change.type === 'replace') {
+    if (change.value === undefined) {
+      delete folder[change.list];
+    } else {
+      folder[change.list] = change.value;
+    }
+    return true;
+  }
+  
+  if (!Array.isArray(folder[change.list])) {
+    folder[change.list] = [];
+  }
+  const list = folder[change.list];
+  // Colocar detrás del elemento que lo precedía para el Co-GM (al final si ya no existe)
+  const positionAfter = (after) => {
+    if (!after) return 0;
+    const index = findVaultItemIndex(list, after, change.list);
+    return index === -1 ? list.length : index + 1;
+  };
+  
+  if (change.type === 'add') {
+    list.splice(positionAfter(change.after), 0, change.value);
+    return true;
+  }
+  
+  const index = findVaultItemIndex(list, change.item, change.list);
+  if (index === -1) return false;
+  switch (change.type) {
+    case 'delete':
+      list.splice(index, 1);
+      return true;
+    case 'move': {
+      const [item] = list.splice(index, 1);
+      list.splice(positionAfter(change.after), 0, item);
+      return true;
+    }
+    case 'visibility':
+      list[index].visibleToPlayers = change.value === true;
+      return true;
+    case 'edit':
+      list[index] = change.value;
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Co-GM: enviar los cambios al Master GM (se muestran ya en local hasta que llegue su delta)
+ */
+async function proposeVaultEdit(json, roomId) {
+  // Sin el vault del Master GM no hay base sobre la que proponer cambios
+  if (!vaultSyncedConfig) {
+    revertCoGMEdits(roomId);
+    alert('❌ The vault owner is offline, so the vault is read-only. Take over the vault to keep editing.');
+    return false;
+  }
+  const baseConfig = vaultSyncedConfig;
+  const changes = describeVaultOps(baseConfig, diffVaultConfig(baseConfig, json));
+  if (changes.length === 0) {
+    return true;
+  }
+  if (getJsonSize(changes) > VAULT_DELTA_MAX_SIZE) {
+    alert('❌ This change is too large to send to the vault owner. Ask them to make it instead.');
+    revertCoGMEdits(roomId);
+    return false;
+  }
+  
+  const editId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+  pagesConfigCache = json;
+  
+  try {
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_COGM_EDIT, {
+      editId,
+      baseVersion: vaultSyncVersion,
+      changes
+    });
+    log(`📤 [Co-GM] Propuesta enviada al Master GM: ${changes.map(describeVaultChange).join(', ')}`);
+  } catch (e) {
+    console.warn('⚠️ No se pudo enviar la propuesta al Master GM:', e);
+    revertCoGMEdits(roomId);
+    alert('❌ Could not send your change to the vault owner. Please try again.');
+    return false;
+  }
+  
+  pendingCoGMEdits.set(editId, setTimeout(() => {
+    pendingCoGMEdits.delete(editId);
+    revertCoGMEdits(roomId);
+    showVaultActivityToast('⚠️', 'Change not saved', 'The vault owner did not respond', true);
+  }, COGM_EDIT_TIMEOUT));
+  return true;
+}
+
+/**
+ * Co-GM: volver a la última configuración recibida del Master GM
+ */
+async function revertCoGMEdits(roomId) {
+  const syncedConfig = getCoGMFullVault(roomId || currentRoomId) || { categories: [] };
+  pagesConfigCache = JSON.parse(JSON.stringify(syncedConfig));
+  const pageList = document.getElementById('page-list');
+  if (pageList) {
+    await renderPagesByCategories(pagesConfigCache, pageList, roomId || currentRoomId);
+  }
+}
+
+/**
+ * Master GM: aplicar las propuestas de Co-GM y responder con el resultado
+ */
+function setupCoGMEditReceiver() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_COGM_EDIT, async (event) => {
+    const data = event.data;
+    if (isCoGMGlobal || !data || !Array.isArray(data.changes)) return;
+    
+    // Solo se aceptan propuestas de otro GM; el autor es quien envía el mensaje, no lo que diga
+    const sender = await getBroadcastSender(event);
+    if (!sender || sender.role !== 'GM') {
+      logWarn('⚠️ Propuesta de edición ignorada: no la envía un GM');
+      return;
+    }
+    
+    const roomId = currentRoomId || OBR.room.id;
+    const author = { id: sender.id, name: sender.name };
+    const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || { categories: [] }));
+    const applied = [];
+    const conflicts = [];
+    const failed = [];
+    
+    data.changes.forEach(change => {
+      const previous = vaultItemEdits.get(getVaultItemKey(change));
+      if (!applyVaultChange(config, change)) {
+        failed.push(describeVaultChange(change));
+        return;
+      }
+      applied.push(change);
+      // Otro GM cambió el mismo elemento después de la versión que veía el Co-GM:
+      // gana el último en escribir, pero se avisa a los dos
+      if (previous && previous.authorId !== author.id && previous.version > data.baseVersion) {
+        conflicts.push({ change: describeVaultChange(change), overwritten: previous.authorName });
+      }
+    });
+    
+    if (applied.length > 0) {
+      await savePagesJSON(config, roomId, { author, changes: applied });
+      const pageList = document.getElementById('page-list');
+      if (pageList) {
+        await renderPagesByCategories(config, pageList, roomId);
+      }
+    }
+    log(`📥 Propuesta de ${author.name}: ${applied.length} aplicadas, ${conflicts.length} conflictos, ${failed.length} descartadas`);
+    
+    if (conflicts.length > 0) {
+      showVaultActivityToast('⚠️', `${author.name} overwrote a recent change`, conflicts.map(c => `${c.change} (was ${c.overwritten})`).join(' • '), true);
+    } else if (applied.length > 0) {
+      showVaultActivityToast('✏️', author.name, applied.map(describeVaultChange).join(' • '));
+    }
+    
+    try {
+      await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_COGM_EDIT_RESULT, {
+        editId: data.editId,
+        authorId: author.id,
+        conflicts,
+        failed
+      });
+    } catch (e) {
+      console.warn('⚠️ No se pudo responder a la propuesta del Co-GM:', e);
+    }
+  });
+}
+
+/**
+ * Co-GM: recibir el resultado de sus propuestas
+ */
+function setupCoGMEditResultListener(roomId) {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_COGM_EDIT_RESULT, async (event) => {
+    const data = event.data;
+    if (!isCoGMGlobal || !data || !pendingCoGMEdits.has(data.editId)) return;
+    
+    clearTimeout(pendingCoGMEdits.get(data.editId));
+    pendingCoGMEdits.delete(data.editId);
+    
+    const failed = data.failed || [];
+    const conflicts = data.conflicts || [];
+    if (failed.length > 0) {
+      // Lo que no se pudo aplicar desaparece al volver a la configuración del Master GM
+      await revertCoGMEdits(roomId);
+      showVaultActivityToast('⚠️', 'Some changes were not applied', `Already removed by another GM: ${failed.join(' • ')}`, true);
+    } else if (conflicts.length > 0) {
+      showVaultActivityToast('⚠️', 'Your change replaced a recent edit', conflicts.map(c => `${c.change} (was ${c.overwritten})`).join(' • '), true);
+    }
+  });
+}
+
+/**
+ * Co-GM: mostrar quién hizo el cambio que acaba de llegar (salvo los propios)
+ */
+async function showVaultChangeAuthor(data) {
+  if (!data.author || !Array.isArray(data.summary) || data.summary.length === 0) return;
+  const me = await getVaultEditAuthor();
+  if (data.author.id && data.author.id === me.id) return;
+  showVaultActivityToast('✏️', data.author.name || 'GM', data.summary.join(' • '));
+}
+
+/**
+ * Toast con la actividad del vault (quién cambió qué, conflictos)
+ */
+function showVaultActivityToast(icon, title, hint, isWarning = false) {
+  const existingToast = document.getElementById('vault-activity-toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+  if (vaultActivityToastTimeout) {
+    clearTimeout(vaultActivityToastTimeout);
+  }
+  
+  const toast = document.createElement('div');
+  toast.id = 'vault-activity-toast';
+  toast.className = `cogm-toast cogm-toast--activity${isWarning ? ' cogm-toast--warning' : ''}`;
+  toast.innerHTML = `
+    <div class="cogm-toast-content">
+      <span class="cogm-toast-icon">${icon}</span>
+      <div class="cogm-toast-text">
+        <strong>${escapeHtml(title)}</strong>
+        <span class="cogm-toast-hint">${escapeHtml(hint)}</span>
+      </div>
+      <button class="cogm-toast-close" onclick="this.parentElement.parentElement.remove()">✕</button>
+    </div>
+  `;
+  document.body.appendChild(toast);
+  
+  requestAnimationFrame(() => {
+    toast.classList.add('cogm-toast--visible');
+  });
+  
+  vaultActivityToastTimeout = setTimeout(() => {
+    toast.classList.remove('cogm-toast--visible');
+    setTimeout(() => toast.remove(), 300);
+  }, isWarning ? 10000 : 6000);
+}
+
+// Cache local para evitar lecturas repetidas (se sincroniza con room metadata)
+let pagesConfigCache = null;
+
+function getPagesJSON(roomId) {
+  // Primero intentar desde el cache
+  if (pagesConfigCache) {
+    log('✅ Usando configuración desde cache');
+    return pagesConfigCache;
+  }
+  
+  // Fallback a localStorage
+  return getPagesJSONFromLocalStorage(roomId);
+}
+
+// Función para obtener directamente de localStorage (ignora cache)
+// Útil para el GM que siempre debe usar su localStorage
+function getPagesJSONFromLocalStorage(roomId) {
+  try {
+    const storageKey = getStorageKey(roomId);
+    log('🔍 Buscando configuración con clave:', storageKey, 'para roomId:', roomId);
+    const stored = localStorage.getItem(storageKey);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      log('✅ Configuración encontrada para room:', roomId);
+      return parsed;
+    } else {
+      log('⚠️ No se encontró configuración para room:', roomId);
+    }
+  } catch (e) {
+    console.error('Error al leer JSON:', e);
+  }
+  return null;
+}
+
+async function savePagesJSON(json, roomId, attribution = null) {
+  // Co-GM: el vault es del Master GM, los cambios se le envían como propuesta
+  if (isCoGMGlobal) {
+    return proposeVaultEdit(json, roomId);
+  }
+  
+  try {
+    // Actualizar cache local
+    pagesConfigCache = json;
+    
+    // Guardar en localStorage (para persistencia local)
+    const storageKey = getStorageKey(roomId);
+    log('💾 Guardando configuración con clave:', storageKey, 'para roomId:', roomId);
+    
+    try {
       localStorage.setItem(storageKey, JSON.stringify(json, null, 2));
     } catch (storageError) {
       console.error('Error al guardar en localStorage:', storageError);
@@ -1208,108 +3039,15 @@ async function savePagesJSON(json, roomId) {
     // Filtrar solo páginas visibles para guardar en room metadata
     const visibleOnlyConfig = filterVisiblePagesForMetadata(json);
     
-    // Obtener metadatos actuales para validar tamaño TOTAL
-    let currentMetadata = {};
-    try {
-      currentMetadata = await OBR.room.getMetadata() || {};
-    } catch (e) {
-      console.warn('No se pudo obtener metadatos actuales:', e);
-    }
-    
-    // ============================================
-    // GUARDAR FULL_CONFIG_KEY PARA CO-GM
-    // ============================================
-    // Intentar guardar la configuración completa para que Co-GM pueda leerla
-    try {
-      const fullConfigCompressed = compressJson(json);
-      const fullConfigSize = getConfigSize(fullConfigCompressed);
-      const pageCountForSync = countPages(json);
-      
-      // Verificar si cabe en metadata (16KB limit)
-      if (fullConfigSize < MAX_METADATA_SIZE) {
-        // Limpiar caches primero para maximizar espacio disponible
-        await OBR.room.setMetadata({
-          [ROOM_CONTENT_CACHE_KEY]: null,
-          [ROOM_HTML_CACHE_KEY]: null
-        });
-        
-        // Guardar configuración completa
-        await OBR.room.setMetadata({
-          [FULL_CONFIG_KEY]: fullConfigCompressed
-        });
-        
-        log(`✅ Config completa sincronizada para Co-GM (${(fullConfigSize / 1024).toFixed(1)}KB, ${pageCountForSync} páginas)`);
-      } else {
-        // Config demasiado grande, solo guardar para Players (visible)
-        logWarn(`⚠️ Config completa demasiado grande para Co-GM sync (${(fullConfigSize / 1024).toFixed(1)}KB > 16KB)`);
-        // Limpiar FULL_CONFIG_KEY ya que no podemos mantenerlo actualizado
-        await OBR.room.setMetadata({
-          [FULL_CONFIG_KEY]: null
-        });
-      }
-    } catch (e) {
-      console.warn('No se pudo guardar FULL_CONFIG_KEY para Co-GM:', e);
-    }
-    
-    // Validar tamaño TOTAL considerando todos los metadatos (solo con páginas visibles)
-    const validation = validateTotalMetadataSize(ROOM_METADATA_KEY, visibleOnlyConfig, currentMetadata);
-    
-    if (validation.fits) {
-      // Guardar en OBR.room.metadata para compartir con todos los usuarios (solo páginas visibles)
-      const compressed = compressJson(visibleOnlyConfig);
-      try {
-        await OBR.room.setMetadata({
-          [ROOM_METADATA_KEY]: compressed
-        });
-        log(`✅ Configuración visible sincronizada con room metadata (${validation.percentage}% del límite total)`);
-        
-        // Enviar actualización vía broadcast a todos los players
-        broadcastVisiblePagesUpdate(visibleOnlyConfig);
-      } catch (e) {
-        // Si falla, puede ser por tamaño o por otro error
-        if (e.message && (e.message.includes('size') || e.message.includes('limit') || e.message.includes('16'))) {
-          // Limpiar el caché de contenido para hacer espacio
-          logWarn('⚠️ Room metadata lleno. Limpiando caché de contenido...');
-          try {
-            await OBR.room.setMetadata({
-              [ROOM_CONTENT_CACHE_KEY]: {}
-            });
-            // Intentar guardar de nuevo
-            await OBR.room.setMetadata({
-              [ROOM_METADATA_KEY]: compressed
-            });
-            log('✅ Configuración guardada después de limpiar caché');
-            broadcastVisiblePagesUpdate(visibleOnlyConfig);
-          } catch (e2) {
-            logWarn('⚠️ La configuración visible es demasiado grande para room metadata (>16KB). Usando solo broadcast.');
-            // Enviar solo vía broadcast
-            broadcastVisiblePagesUpdate(visibleOnlyConfig);
-          }
-        } else {
-          console.warn('⚠️ No se pudo sincronizar con room metadata:', e);
-        }
-      }
-    } else {
-      // El tamaño excede el límite, intentar limpiar el caché de contenido
-      logWarn('⚠️ Room metadata casi lleno. Limpiando caché de contenido...');
-      try {
-        await OBR.room.setMetadata({
-          [ROOM_CONTENT_CACHE_KEY]: {}
-        });
-        // Intentar guardar después de limpiar
-        const compressed = compressJson(visibleOnlyConfig);
-        await OBR.room.setMetadata({
-          [ROOM_METADATA_KEY]: compressed
-        });
-        log('✅ Configuración guardada después de limpiar caché');
-        broadcastVisiblePagesUpdate(visibleOnlyConfig);
-      } catch (e) {
-        logWarn('⚠️ La configuración visible es demasiado grande para room metadata (>16KB). Usando solo broadcast.');
-        logWarn(`   Tamaño total: ${(validation.size / 1024).toFixed(2)}KB / ${(ROOM_METADATA_SAFE_LIMIT / 1024).toFixed(2)}KB`);
-        // Enviar solo vía broadcast
-        broadcastVisiblePagesUpdate(visibleOnlyConfig);
-      }
-    }
+    // Los cambios salen como delta al momento; la room metadata se reescribe cuando dejan de llegar cambios
+    const deltaSent = await publishVaultChanges(json, visibleOnlyConfig, attribution);
+    await scheduleVaultSnapshotWrite(json, visibleOnlyConfig, !deltaSent);
+    // Páginas compartidas con players concretos: cifradas, a cada uno las suyas
+    publishPersonalPages(json);
+    // Los tokens vinculados a páginas que cambian de visibilidad muestran u ocultan su menú a los players
+    syncTokenPlayerLinks(json);
+    // Las páginas que se ocultan salen del snapshot publicado para acceso offline
+    syncPublishedSnapshot(json, roomId).catch(e => console.warn('⚠️ No se pudo actualizar el snapshot publicado:', e));
     
     log('✅ Configuración guardada exitosamente para room:', roomId);
     return true;
@@ -1327,10 +3065,11 @@ async function savePagesJSON(json, roomId) {
 async function loadPagesFromRoomMetadata() {
   try {
     const metadata = await OBR.room.getMetadata();
-    if (metadata && metadata[ROOM_METADATA_KEY]) {
-      // NO actualizar pagesConfigCache aquí - eso lo hace el flujo principal
-      // para evitar que el GM sobrescriba su config completa con la filtrada
-      const config = metadata[ROOM_METADATA_KEY];
+    // NO actualizar pagesConfigCache aquí - eso lo hace el flujo principal
+    // para evitar que el GM sobrescriba su config completa con la filtrada
+    const config = await readChunkedMetadata(ROOM_METADATA_KEY, metadata);
+    if (config) {
+      rememberVaultVersion(metadata);
       log('✅ Configuración cargada desde room metadata');
       return config;
     }
@@ -1360,23 +3099,12 @@ function setupRoomMetadataListener(roomId) {
         return;
       }
       
-      // Co-GM: actualizar desde FULL_CONFIG_KEY (vault completo)
+      // Snapshot igual o más antiguo que lo ya recibido por deltas: no volver a renderizar
+      const snapshotVersion = metadata ? metadata[VAULT_VERSION_KEY] : null;
+      const isNewerSnapshot = typeof snapshotVersion !== 'number' || snapshotVersion > vaultSyncVersion;
+      
+      // Co-GM: el vault completo llega cifrado por su sesión (setupCoGMVaultListener), no por room metadata
       if (isCoGMGlobal) {
-        if (metadata && metadata[FULL_CONFIG_KEY]) {
-          const newConfig = metadata[FULL_CONFIG_KEY];
-          // Solo actualizar si es diferente
-          if (JSON.stringify(newConfig) !== JSON.stringify(pagesConfigCache)) {
-            log('🔄 [Co-GM] Vault actualizado desde Master GM');
-            pagesConfigCache = newConfig;
-            
-            // Recargar la vista
-            const pageList = document.getElementById("page-list");
-            if (pageList) {
-              await renderPagesByCategories(newConfig, pageList, roomId);
-            }
-          }
-        }
-        
         // Verificar si el Master GM se desconectó
         if (metadata && metadata[VAULT_OWNER_KEY]) {
           const ownerInfo = metadata[VAULT_OWNER_KEY];
@@ -1394,8 +3122,9 @@ function setupRoomMetadataListener(roomId) {
       }
       
       // Player: actualizar desde ROOM_METADATA_KEY (solo páginas visibles)
-      if (metadata && metadata[ROOM_METADATA_KEY]) {
-        const newConfig = metadata[ROOM_METADATA_KEY];
+      const newConfig = isNewerSnapshot ? await readChunkedMetadata(ROOM_METADATA_KEY, metadata) : null;
+      if (newConfig) {
+        rememberVaultVersion(metadata);
         // Solo actualizar si es diferente
         if (JSON.stringify(newConfig) !== JSON.stringify(pagesConfigCache)) {
           log('🔄 [Player] Configuración actualizada desde room metadata');
@@ -1493,61 +3222,315 @@ window.addEventListener('unhandledrejection', (event) => {
   }
 });
 
-// Sistema de caché para bloques de Notion (persistente, sin expiración automática)
+// Sistema de caché para bloques de Notion (persistente; se invalida comparando last_edited_time)
+// Bloques, información de página y HTML renderizado se guardan en IndexedDB;
+// localStorage queda solo para la configuración de las rooms
 const CACHE_PREFIX = 'notion-blocks-cache-';
 const PAGE_INFO_CACHE_PREFIX = 'notion-page-info-cache-';
+const HTML_CACHE_PREFIX = 'notion-html-cache-';
+// Intervalo mínimo entre comprobaciones de last_edited_time de una misma página
+const PAGE_FRESHNESS_CHECK_INTERVAL = 30000; // 30 segundos
+
+const CACHE_DB_NAME = 'gm-vault-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE_NAME = 'entries';
+// Tamaño máximo del caché; al superarlo se eliminan las entradas usadas hace más tiempo (LRU)
+const CACHE_MAX_BYTES = 50 * 1024 * 1024; // 50MB
+// Tras expulsar entradas se baja hasta este tamaño para no expulsar en cada escritura
+const CACHE_EVICTION_TARGET_BYTES = Math.floor(CACHE_MAX_BYTES * 0.8);
+
+let cacheDbPromise = null;
+// Tamaño total de las entradas en bytes (se calcula al abrir la base de datos)
+let cacheTotalBytes = 0;
+// Respaldo en memoria si IndexedDB no está disponible (p. ej. navegación privada en algunos navegadores)
+const cacheMemoryFallback = new Map();
 
 /**
- * Obtener bloques desde el caché (persistente, sin expiración)
+ * Convertir una petición de IndexedDB en promesa
  */
-function getCachedBlocks(pageId) {
-  try {
-    const cacheKey = CACHE_PREFIX + pageId;
-    const cached = localStorage.getItem(cacheKey);
-    
-    if (cached) {
-      const data = JSON.parse(cached);
-      if (data.blocks) {
-        log('✅ Bloques obtenidos del caché para:', pageId);
-        return data.blocks;
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Esperar a que termine una transacción de IndexedDB
+ */
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Abrir (una sola vez) la base de datos del caché, migrando las entradas antiguas de localStorage
+ * @returns {Promise<IDBDatabase|null>} - null si IndexedDB no está disponible
+ */
+function openCacheDatabase() {
+  if (cacheDbPromise) {
+    return cacheDbPromise;
+  }
+  
+  cacheDbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('⚠️ IndexedDB no disponible, usando caché en memoria');
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
+        const store = db.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('⚠️ No se pudo abrir IndexedDB, usando caché en memoria:', request.error);
+      resolve(null);
+    };
+  }).then(async (db) => {
+    if (!db) {
+      return null;
+    }
+    try {
+      await migrateLocalStorageCache(db);
+      cacheTotalBytes = await computeCacheSize(db);
+      log('🗄️ Caché IndexedDB listo:', Math.round(cacheTotalBytes / 1024), 'KB');
+    } catch (e) {
+      console.warn('Error al preparar el caché IndexedDB:', e);
+    }
+    return db;
+  });
+  
+  return cacheDbPromise;
+}
+
+/**
+ * Crear una entrada del caché con su tamaño aproximado
+ */
+function createCacheEntry(key, value, savedAt = null) {
+  return {
+    key,
+    value,
+    size: getJsonSize(value),
+    savedAt: savedAt || new Date().toISOString(),
+    lastAccess: Date.now()
+  };
+}
+
+/**
+ * Mover las entradas de bloques e información de página de localStorage a IndexedDB
+ */
+async function migrateLocalStorageCache(db) {
+  const legacyKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && (key.startsWith(CACHE_PREFIX) || key.startsWith(PAGE_INFO_CACHE_PREFIX))) {
+      legacyKeys.push(key);
+    }
+  }
+  if (legacyKeys.length === 0) {
+    return;
+  }
+  
+  const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(CACHE_STORE_NAME);
+  legacyKeys.forEach(key => {
+    try {
+      const data = JSON.parse(localStorage.getItem(key));
+      const value = key.startsWith(CACHE_PREFIX) ? data?.blocks : data?.pageInfo;
+      if (value) {
+        store.put(createCacheEntry(key, value, data.savedAt));
       }
+    } catch (e) {
+      // Entrada corrupta: se descarta
     }
+  });
+  await idbTransactionDone(transaction);
+  
+  legacyKeys.forEach(key => localStorage.removeItem(key));
+  log('📦 Migradas', legacyKeys.length, 'entradas de caché de localStorage a IndexedDB');
+}
+
+/**
+ * Sumar el tamaño de todas las entradas del caché
+ */
+async function computeCacheSize(db) {
+  const transaction = db.transaction(CACHE_STORE_NAME, 'readonly');
+  const request = transaction.objectStore(CACHE_STORE_NAME).openCursor();
+  let total = 0;
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      total += cursor.value.size || 0;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return total;
+}
+
+/**
+ * Eliminar las entradas usadas hace más tiempo hasta bajar del tamaño objetivo
+ */
+async function evictCacheEntries(db, targetBytes = CACHE_EVICTION_TARGET_BYTES) {
+  const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+  const request = transaction.objectStore(CACHE_STORE_NAME).index('lastAccess').openCursor();
+  let evicted = 0;
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || cacheTotalBytes <= targetBytes) {
+        resolve();
+        return;
+      }
+      cacheTotalBytes -= cursor.value.size || 0;
+      cursor.delete();
+      evicted++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  await idbTransactionDone(transaction);
+  log('🧹 Caché: eliminadas', evicted, 'entradas antiguas -', Math.round(cacheTotalBytes / 1024), 'KB en uso');
+}
+
+/**
+ * Leer una entrada del caché (actualiza su último acceso para el LRU)
+ * @returns {Promise<object|null>} - { key, value, size, savedAt, lastAccess }
+ */
+async function getCacheEntry(key) {
+  const db = await openCacheDatabase();
+  if (!db) {
+    return cacheMemoryFallback.get(key) || null;
+  }
+  try {
+    const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(CACHE_STORE_NAME);
+    const entry = await idbRequest(store.get(key));
+    if (entry) {
+      entry.lastAccess = Date.now();
+      store.put(entry);
+    }
+    return entry || null;
   } catch (e) {
     console.error('Error al leer del caché:', e);
-    // Si hay error al parsear, eliminar la entrada corrupta
-    try {
-      const cacheKey = CACHE_PREFIX + pageId;
-      localStorage.removeItem(cacheKey);
-    } catch (e2) {
-      // Ignorar errores al limpiar
+    return null;
+  }
+}
+
+/**
+ * Guardar una entrada en el caché, expulsando entradas antiguas si se supera el límite
+ */
+async function setCacheEntry(key, value) {
+  const entry = createCacheEntry(key, value);
+  const db = await openCacheDatabase();
+  if (!db) {
+    cacheMemoryFallback.set(key, entry);
+    return;
+  }
+  
+  const write = async () => {
+    const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(CACHE_STORE_NAME);
+    const previous = await idbRequest(store.get(key));
+    store.put(entry);
+    await idbTransactionDone(transaction);
+    cacheTotalBytes += entry.size - (previous?.size || 0);
+  };
+  
+  try {
+    await write();
+  } catch (e) {
+    if (e?.name !== 'QuotaExceededError') {
+      throw e;
     }
+    // El navegador no deja crecer más la base de datos: liberar la mitad y reintentar una vez
+    console.warn('⚠️ Cuota de IndexedDB superada, liberando espacio');
+    await evictCacheEntries(db, Math.floor(cacheTotalBytes / 2));
+    await write();
+  }
+  
+  if (cacheTotalBytes > CACHE_MAX_BYTES) {
+    await evictCacheEntries(db);
+  }
+}
+
+/**
+ * Eliminar una entrada del caché
+ */
+async function deleteCacheEntry(key) {
+  const db = await openCacheDatabase();
+  if (!db) {
+    cacheMemoryFallback.delete(key);
+    return;
+  }
+  try {
+    const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(CACHE_STORE_NAME);
+    const previous = await idbRequest(store.get(key));
+    store.delete(key);
+    await idbTransactionDone(transaction);
+    cacheTotalBytes -= previous?.size || 0;
+  } catch (e) {
+    console.error('Error al eliminar del caché:', e);
+  }
+}
+
+/**
+ * Listar las entradas del caché sin su contenido (para el gestor de caché)
+ * @returns {Promise<Array<{key, size, savedAt, lastAccess}>>}
+ */
+async function listCacheEntries() {
+  const db = await openCacheDatabase();
+  const toSummary = ({ key, size, savedAt, lastAccess }) => ({ key, size, savedAt, lastAccess });
+  if (!db) {
+    return Array.from(cacheMemoryFallback.values()).map(toSummary);
+  }
+  const transaction = db.transaction(CACHE_STORE_NAME, 'readonly');
+  const entries = await idbRequest(transaction.objectStore(CACHE_STORE_NAME).getAll());
+  return entries.map(toSummary);
+}
+
+/**
+ * Obtener bloques desde el caché (persistente, se invalida por last_edited_time)
+ */
+async function getCachedBlocks(pageId) {
+  const entry = await getCacheEntry(CACHE_PREFIX + pageId);
+  if (entry && entry.value) {
+    log('✅ Bloques obtenidos del caché para:', pageId);
+    return entry.value;
   }
   return null;
 }
 
 /**
- * Guardar bloques en el caché (persistente, sin expiración)
+ * Guardar bloques en el caché
  */
-function setCachedBlocks(pageId, blocks) {
+async function setCachedBlocks(pageId, blocks) {
   try {
-    const cacheKey = CACHE_PREFIX + pageId;
-    const data = {
-      blocks: blocks,
-      savedAt: new Date().toISOString() // Solo para referencia, no para expiración
-    };
-    localStorage.setItem(cacheKey, JSON.stringify(data));
+    await setCacheEntry(CACHE_PREFIX + pageId, blocks);
     log('💾 Bloques guardados en caché para:', pageId);
-    
-    // Si es GM, también guardar en caché compartido para jugadores
-    saveToSharedCache(pageId, blocks);
   } catch (e) {
     console.error('Error al guardar en caché:', e);
-    // Si el localStorage está lleno, mostrar modal al usuario
+    // Ni expulsando entradas antiguas hay espacio: avisar al usuario
     if (e.name === 'QuotaExceededError') {
-      console.warn('⚠️ localStorage lleno. Mostrando modal al usuario.');
       showStorageLimitModal('caching page content');
     }
   }
+  
+  // Si es GM, también guardar en caché compartido para jugadores
+  saveToSharedCache(pageId, blocks);
 }
 
 // Guardar contenido en caché compartido (room metadata) para jugadores
@@ -1557,6 +3540,18 @@ async function saveToSharedCache(pageId, blocks) {
     const isGM = await getUserRole();
     if (!isGM) return;
     
+    // Las páginas compartidas con players concretos no van a room metadata (la leen todos)
+    const config = pagesConfigCache || getPagesJSON(OBR.room.id);
+    if (isRestrictedPage(config, pageId)) {
+      log('🔒 Página restringida, no se guarda en el caché compartido:', pageId);
+      return;
+    }
+    // Tampoco las que comparten solo algunas secciones: los bloques incluyen las partes secretas
+    if (hasPlayerSections(config, pageId, blocks)) {
+      log('🔒 Página con secciones para players, no se guarda en el caché compartido:', pageId);
+      return;
+    }
+    
     // Obtener todos los metadatos actuales
     const metadata = await OBR.room.getMetadata() || {};
     let sharedCache = (metadata[ROOM_CONTENT_CACHE_KEY]) || {};
@@ -1647,64 +3642,265 @@ async function saveToSharedCache(pageId, blocks) {
 }
 
 /**
- * Guardar HTML renderizado en el caché local (en memoria del GM)
+ * Quitar una página del caché compartido (room metadata)
+ * @param {string} pageId - ID de la página de Notion
+ */
+async function removeFromSharedCache(pageId) {
+  try {
+    const metadata = await OBR.room.getMetadata() || {};
+    const sharedCache = metadata[ROOM_CONTENT_CACHE_KEY];
+    if (!sharedCache || !sharedCache[pageId]) return;
+    
+    const { [pageId]: removed, ...remaining } = sharedCache;
+    await OBR.room.setMetadata({
+      [ROOM_CONTENT_CACHE_KEY]: remaining
+    });
+    log('🗑️ Página eliminada del caché compartido:', pageId);
+  } catch (e) {
+    console.error('Error al eliminar del caché compartido:', e);
+  }
+}
+
+/**
+ * Guardar HTML renderizado en el caché local del GM (IndexedDB)
  * @param {string} pageId - ID de la página de Notion
  * @param {string} html - HTML renderizado
  */
-function saveHtmlToLocalCache(pageId, html) {
-  // Limitar el tamaño del caché local (máximo 20 páginas)
-  const keys = Object.keys(localHtmlCache);
-  if (keys.length >= 20) {
-    // Eliminar la entrada más antigua
-    let oldestKey = keys[0];
-    let oldestTime = localHtmlCache[oldestKey].savedAt || 0;
-    for (const key of keys) {
-      const time = localHtmlCache[key].savedAt || 0;
-      if (time < oldestTime) {
-        oldestTime = time;
-        oldestKey = key;
+async function saveHtmlToLocalCache(pageId, html) {
+  try {
+    await setCacheEntry(HTML_CACHE_PREFIX + pageId, html);
+    log('💾 HTML guardado en caché local para:', pageId, '- tamaño:', html.length, 'caracteres');
+  } catch (e) {
+    console.error('Error al guardar HTML en caché:', e);
+  }
+}
+
+/**
+ * Obtener el HTML renderizado de una página desde el caché local del GM
+ * @param {string} pageId - ID de la página de Notion
+ * @returns {Promise<string|null>}
+ */
+async function getHtmlFromLocalCache(pageId) {
+  const entry = await getCacheEntry(HTML_CACHE_PREFIX + pageId);
+  return entry ? entry.value : null;
+}
+
+// ============================================
+// TRANSFERENCIA DE CONTENIDO POR FRAGMENTOS
+// ============================================
+// El HTML se comprime (gzip), se cifra si la página es personal y se envía por BROADCAST_CHANNEL_RESPONSE
+// en fragmentos numerados. El GM manda una ventana de fragmentos y espera la confirmación del player
+// (el primer fragmento que le falta); si no llega, reenvía la ventana. Así cualquier tamaño de página llega
+
+const BROADCAST_CHANNEL_CONTENT_ACK = 'com.dmscreen/contentAck';
+const CONTENT_TRANSFER_CHUNK_SIZE = 16 * 1024; // 16K caracteres por mensaje
+const CONTENT_TRANSFER_WINDOW = 4; // Fragmentos enviados antes de esperar confirmación
+const CONTENT_TRANSFER_ACK_TIMEOUT = 3000; // 3 segundos
+const CONTENT_TRANSFER_MAX_RETRIES = 3;
+// Player: sin fragmentos nuevos en este tiempo, la transferencia se da por perdida
+const CONTENT_TRANSFER_IDLE_TIMEOUT = 15000; // 15 segundos
+
+// GM: confirmaciones esperadas (transferId → { connectionId, resolve })
+const pendingContentAcks = new Map();
+
+async function gzipToBase64(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function gunzipFromBase64(base64) {
+  const stream = new Blob([base64ToBytes(base64)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+/**
+ * GM: preparar el HTML para enviarlo (comprimido y, si hay sesión, cifrado para ese player)
+ * @returns {Promise<{body: string, encoding: string, sealed: boolean}>}
+ */
+async function encodeContentTransfer(html, session = null) {
+  let body = html;
+  let encoding = 'plain';
+  if (typeof CompressionStream !== 'undefined') {
+    body = await gzipToBase64(html);
+    encoding = 'gzip';
+  }
+  if (session) {
+    body = JSON.stringify(await sealForPlayer(session, body));
+  }
+  return { body, encoding, sealed: Boolean(session) };
+}
+
+/**
+ * Player: reconstruir el HTML a partir de los fragmentos reensamblados
+ * @returns {Promise<string|null>} - null si no está completo o no es para mí
+ */
+async function decodeContentTransfer(body, header) {
+  if (hashString(body) !== header.hash) {
+    throw new Error('Los fragmentos recibidos no coinciden con el contenido enviado');
+  }
+  const payload = header.sealed ? await openPersonalPayload(JSON.parse(body)) : body;
+  if (payload === null) return null;
+  return header.encoding === 'gzip' ? gunzipFromBase64(payload) : payload;
+}
+
+/**
+ * GM: esperar la confirmación de una transferencia
+ * @returns {Promise<number|null>} - Primer fragmento que le falta al player, o null si no respondió
+ */
+function waitForContentAck(transferId, connectionId) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      pendingContentAcks.delete(transferId);
+      resolve(null);
+    }, CONTENT_TRANSFER_ACK_TIMEOUT);
+    pendingContentAcks.set(transferId, {
+      connectionId,
+      resolve: (next) => {
+        clearTimeout(timeout);
+        pendingContentAcks.delete(transferId);
+        resolve(next);
       }
+    });
+  });
+}
+
+/**
+ * GM: enviar el HTML de una página en fragmentos confirmados a quien lo pidió
+ * @param {object} event - Mensaje de solicitud ({ pageId, transferId } y connectionId de quien lo envía)
+ * @param {string} html - HTML que puede ver quien lo pidió
+ * @param {object|null} session - Sesión cifrada si la página es personal
+ * @returns {Promise<boolean>}
+ */
+async function sendContentTransfer(event, html, session = null) {
+  const { pageId, transferId } = event.data;
+  const { body, encoding, sealed } = await encodeContentTransfer(html, session);
+  const total = Math.max(1, Math.ceil(body.length / CONTENT_TRANSFER_CHUNK_SIZE));
+  const header = { pageId, transferId, total, encoding, sealed, hash: hashString(body) };
+  
+  let next = 0;
+  let retries = 0;
+  while (next < total) {
+    const ack = waitForContentAck(transferId, event.connectionId);
+    const windowEnd = Math.min(next + CONTENT_TRANSFER_WINDOW, total);
+    for (let seq = next; seq < windowEnd; seq++) {
+      await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_RESPONSE, {
+        ...header,
+        seq,
+        data: body.slice(seq * CONTENT_TRANSFER_CHUNK_SIZE, (seq + 1) * CONTENT_TRANSFER_CHUNK_SIZE)
+      });
+    }
+    
+    const acked = await ack;
+    if (acked !== null && acked > next) {
+      next = acked;
+      retries = 0;
+      continue;
     }
-    delete localHtmlCache[oldestKey];
-    log('🗑️ Eliminada entrada más antigua del caché HTML local:', oldestKey);
+    if (++retries > CONTENT_TRANSFER_MAX_RETRIES) {
+      console.warn(`⚠️ El player no confirmó la transferencia de ${pageId} (${next}/${total} fragmentos)`);
+      return false;
+    }
+    log(`🔁 Reenviando fragmentos de ${pageId} desde el ${next} (intento ${retries})`);
   }
   
-  localHtmlCache[pageId] = {
-    html: html,
-    savedAt: Date.now()
-  };
-  log('💾 HTML guardado en caché local para:', pageId, '- tamaño:', html.length, 'caracteres');
+  log(`📤 HTML enviado para ${pageId}: ${total} fragmento(s), ${(body.length / 1024).toFixed(1)}KB ${encoding}`);
+  return true;
+}
+
+/**
+ * GM: recibir las confirmaciones de los players
+ */
+function setupContentAckListener() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_CONTENT_ACK, (event) => {
+    const data = event.data;
+    const pending = data && pendingContentAcks.get(data.transferId);
+    // Solo cuenta la confirmación de quien pidió el contenido
+    if (pending && pending.connectionId === event.connectionId) {
+      pending.resolve(data.next);
+    }
+  });
 }
 
 /**
  * Solicitar HTML al GM via broadcast (para jugadores)
  * @param {string} pageId - ID de la página de Notion
+ * @param {function} onProgress - (recibidos, total) al llegar cada fragmento (opcional)
  * @returns {Promise<string|null>} - HTML renderizado o null si no hay respuesta
  */
-async function requestHtmlFromGM(pageId) {
+async function requestHtmlFromGM(pageId, onProgress = null) {
   return new Promise((resolve) => {
     log('📡 Solicitando contenido al GM para:', pageId);
     
-    // Timeout de 5 segundos
-    const timeout = setTimeout(() => {
-      log('⏰ Timeout esperando respuesta del GM');
+    const transferId = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    const chunks = [];
+    let senderConnectionId = null;
+    let received = 0;
+    let next = 0;
+    let finished = false;
+    let timeout = null;
+    
+    const finish = (html) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
       unsubscribe();
-      resolve(null);
-    }, 5000);
+      resolve(html);
+    };
+    const restartTimeout = (ms, message) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        log(message);
+        finish(null);
+      }, ms);
+    };
     
-    // Escuchar respuesta del GM
-    const unsubscribe = OBR.broadcast.onMessage(BROADCAST_CHANNEL_RESPONSE, (event) => {
+    // Timeout de 5 segundos hasta la primera respuesta
+    restartTimeout(5000, '⏰ Timeout esperando respuesta del GM');
+    
+    // Escuchar los fragmentos del GM
+    const unsubscribe = OBR.broadcast.onMessage(BROADCAST_CHANNEL_RESPONSE, async (event) => {
       const data = event.data;
-      if (data && data.pageId === pageId && data.html) {
-        log('✅ Recibido HTML del GM para:', pageId, '- tamaño:', data.html.length);
-        clearTimeout(timeout);
-        unsubscribe();
-        resolve(data.html);
+      if (finished || !data || data.transferId !== transferId) return;
+      // Si responde más de un GM, solo se atiende al primero
+      senderConnectionId = senderConnectionId || event.connectionId;
+      if (event.connectionId !== senderConnectionId) return;
+      
+      const isDuplicate = chunks[data.seq] !== undefined;
+      if (!isDuplicate) {
+        chunks[data.seq] = data.data;
+        received++;
+      }
+      while (next < data.total && chunks[next] !== undefined) {
+        next++;
+      }
+      if (onProgress) {
+        onProgress(received, data.total);
+      }
+      
+      // Confirmar al final de cada ventana, al completar o si llega un reenvío
+      if (isDuplicate || next === data.total || data.seq % CONTENT_TRANSFER_WINDOW === CONTENT_TRANSFER_WINDOW - 1) {
+        OBR.broadcast.sendMessage(BROADCAST_CHANNEL_CONTENT_ACK, { transferId, next });
+      }
+      if (next < data.total) {
+        restartTimeout(CONTENT_TRANSFER_IDLE_TIMEOUT, '⏰ La transferencia del GM se interrumpió');
+        return;
+      }
+      
+      clearTimeout(timeout);
+      try {
+        const html = await decodeContentTransfer(chunks.join(''), data);
+        if (html) {
+          log('✅ Recibido HTML del GM para:', pageId, '- tamaño:', html.length, `(${data.total} fragmento(s))`);
+        }
+        finish(html);
+      } catch (e) {
+        console.warn('⚠️ No se pudo reconstruir el contenido del GM:', e);
+        finish(null);
       }
     });
     
     // Enviar solicitud al GM
-    OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST, { pageId });
+    OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST, { pageId, transferId });
   });
 }
 
@@ -1714,40 +3910,103 @@ async function requestHtmlFromGM(pageId) {
 function setupGMContentBroadcast() {
   OBR.broadcast.onMessage(BROADCAST_CHANNEL_REQUEST, async (event) => {
     const data = event.data;
-    if (data && data.pageId) {
+    if (data && data.pageId && data.transferId) {
       log('📨 Recibida solicitud de contenido para:', data.pageId);
       
+      // Co-GMs: la página entera, cifrada para su conexión (el canal de respuesta lo reciben todos)
+      const sender = await getBroadcastSender(event);
+      const coGMSession = sender?.role === 'GM' ? coGMVaultSessions.get(event.connectionId) : null;
+      let session = coGMSession || null;
+      
+      // Páginas compartidas con players concretos: solo cifradas para quien tenga acceso
+      const config = pagesConfigCache || getPagesJSON(OBR.room.id);
+      if (!coGMSession && isRestrictedPage(config, data.pageId)) {
+        session = [...personalPagesSessions.values()].find(s => s.connectionId === event.connectionId);
+        const allowed = session && getVaultNotionPages(filterPersonalPages(config, session.player).categories)
+          .some(page => page.pageId === data.pageId);
+        if (!allowed) {
+          log('🔒 Contenido restringido, no se envía a esta conexión:', data.pageId);
+          return;
+        }
+      }
+      
       // Buscar en caché local
-      const cached = localHtmlCache[data.pageId];
-      if (cached && cached.html) {
+      let cachedHtml = await getHtmlFromLocalCache(data.pageId);
+      if (cachedHtml) {
+        // Sin sesión de Co-GM, solo las secciones marcadas para players
+        if (!coGMSession) {
+          cachedHtml = filterPlayerSections(cachedHtml, findVaultPageById(config, data.pageId)?.playerBlocks);
+        }
         log('📤 Enviando HTML cacheado para:', data.pageId);
-        OBR.broadcast.sendMessage(BROADCAST_CHANNEL_RESPONSE, {
-          pageId: data.pageId,
-          html: cached.html
-        });
+        await sendContentTransfer(event, cachedHtml, session);
       } else {
         log('⚠️ No hay HTML en caché local para:', data.pageId);
       }
     }
   });
+  setupContentAckListener();
   log('🎧 GM escuchando solicitudes de contenido');
 }
 
 /**
- * Limpiar todo el caché manualmente (localStorage)
+ * Jugadores: volver a pedir el HTML al GM cuando actualiza la página que tienen abierta
+ */
+function setupContentUpdateListener() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_CONTENT_UPDATED, async (event) => {
+    const data = event.data;
+    // Quien tiene token propio ya comprueba last_edited_time por su cuenta
+    if (!data || !data.pageId || getUserToken()) return;
+    
+    const contentDiv = document.getElementById('notion-content');
+    if (!contentDiv || contentDiv.dataset.pageId !== data.pageId) return;
+    
+    log('🔔 El GM actualizó la página abierta, pidiendo la nueva versión:', data.pageId);
+    const html = await requestHtmlFromGM(data.pageId);
+    // Comprobar de nuevo: la respuesta puede llegar después de cambiar de página
+    if (html && contentDiv.dataset.pageId === data.pageId) {
+      const container = document.getElementById('notion-container');
+      const scrollTop = container ? container.scrollTop : 0;
+      contentDiv.innerHTML = html;
+      await attachNotionContentHandlers();
+      if (container) {
+        container.scrollTop = scrollTop;
+      }
+    }
+  });
+}
+
+/**
+ * Limpiar todo el caché manualmente (IndexedDB y entradas antiguas de localStorage)
+ * @returns {Promise<number>} - Número de entradas eliminadas
  */
-function clearAllCache() {
+async function clearAllCache() {
   try {
-    const keysToRemove = [];
+    let cleared = 0;
+    const db = await openCacheDatabase();
+    if (db) {
+      const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(CACHE_STORE_NAME);
+      cleared = await idbRequest(store.count());
+      store.clear();
+      await idbTransactionDone(transaction);
+    } else {
+      cleared = cacheMemoryFallback.size;
+      cacheMemoryFallback.clear();
+    }
+    cacheTotalBytes = 0;
+    
+    const legacyKeys = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
       if (key && (key.startsWith(CACHE_PREFIX) || key.startsWith(PAGE_INFO_CACHE_PREFIX))) {
-        keysToRemove.push(key);
+        legacyKeys.push(key);
       }
     }
-    keysToRemove.forEach(key => localStorage.removeItem(key));
-    log('🗑️ Caché limpiado:', keysToRemove.length, 'entradas');
-    return keysToRemove.length;
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+    cleared += legacyKeys.length;
+    
+    log('🗑️ Caché limpiado:', cleared, 'entradas');
+    return cleared;
   } catch (e) {
     console.error('Error al limpiar caché:', e);
     return 0;
@@ -1781,6 +4040,7 @@ async function clearAllRoomMetadata() {
       [ROOM_METADATA_KEY]: null,
       [ROOM_CONTENT_CACHE_KEY]: null
     });
+    await deleteAllMetadataChunks();
     log('🗑️ Todos los metadatos de room limpiados');
     return true;
   } catch (e) {
@@ -1951,26 +4211,11 @@ function renderPageIcon(icon, pageName, pageId) {
 /**
  * Obtener información de la página desde el caché
  */
-function getCachedPageInfo(pageId) {
-  try {
-    const cacheKey = PAGE_INFO_CACHE_PREFIX + pageId;
-    const cached = localStorage.getItem(cacheKey);
-    
-    if (cached) {
-      const data = JSON.parse(cached);
-      if (data.pageInfo) {
-        log('✅ Información de página obtenida del caché para:', pageId);
-        return data.pageInfo;
-      }
-    }
-  } catch (e) {
-    console.error('Error al leer información de página del caché:', e);
-    try {
-      const cacheKey = PAGE_INFO_CACHE_PREFIX + pageId;
-      localStorage.removeItem(cacheKey);
-    } catch (e2) {
-      // Ignorar errores al limpiar
-    }
+async function getCachedPageInfo(pageId) {
+  const entry = await getCacheEntry(PAGE_INFO_CACHE_PREFIX + pageId);
+  if (entry && entry.value) {
+    log('✅ Información de página obtenida del caché para:', pageId);
+    return entry.value;
   }
   return null;
 }
@@ -1978,20 +4223,14 @@ function getCachedPageInfo(pageId) {
 /**
  * Guardar información de la página en el caché
  */
-function setCachedPageInfo(pageId, pageInfo) {
+async function setCachedPageInfo(pageId, pageInfo) {
   try {
-    const cacheKey = PAGE_INFO_CACHE_PREFIX + pageId;
-    const data = {
-      pageInfo: pageInfo,
-      savedAt: new Date().toISOString()
-    };
-    localStorage.setItem(cacheKey, JSON.stringify(data));
+    await setCacheEntry(PAGE_INFO_CACHE_PREFIX + pageId, pageInfo);
     log('💾 Información de página guardada en caché para:', pageId);
   } catch (e) {
     console.error('Error al guardar información de página en caché:', e);
-    // Si el localStorage está lleno, mostrar modal al usuario
+    // Ni expulsando entradas antiguas hay espacio: avisar al usuario
     if (e.name === 'QuotaExceededError') {
-      console.warn('⚠️ localStorage lleno. Mostrando modal al usuario.');
       showStorageLimitModal('caching page information');
     }
   }
@@ -2003,7 +4242,7 @@ function setCachedPageInfo(pageId, pageInfo) {
 async function fetchNotionPageInfo(pageId, useCache = true) {
   // Intentar obtener del caché primero
   if (useCache) {
-    const cachedPageInfo = getCachedPageInfo(pageId);
+    const cachedPageInfo = await getCachedPageInfo(pageId);
     if (cachedPageInfo) {
       return cachedPageInfo;
     }
@@ -2032,7 +4271,7 @@ async function fetchNotionPageInfo(pageId, useCache = true) {
     const data = await response.json();
     
     // Guardar en caché
-    setCachedPageInfo(pageId, data);
+    await setCachedPageInfo(pageId, data);
     
     return data;
   } catch (error) {
@@ -2112,10 +4351,81 @@ function renderPageCoverAndTitle(cover, pageTitle) {
   return html;
 }
 
+// Notion devuelve como máximo 100 bloques por petición
+const NOTION_BLOCKS_PAGE_SIZE = 100;
+// Límite de seguridad para no entrar en un bucle infinito si la API devuelve cursores erróneos
+const NOTION_MAX_BLOCK_PAGES = 50;
+
+/**
+ * Obtener todos los resultados de un listado de Notion siguiendo los cursores
+ * El proxy devuelve has_more/next_cursor y se vuelve a pedir con start_cursor hasta completar
+ * @param {string} blockId - ID del bloque, página o base de datos
+ * @param {string} userToken - Token de Notion del usuario
+ * @param {function} onErrorResponse - Recibe la respuesta fallida y lanza el error adecuado
+ * @param {string|null} type - Tipo de consulta del proxy (null = bloques hijos, 'database_query' = filas)
+ * @returns {Promise<Array>} - Todos los resultados (con truncated = true si se alcanzó el límite de páginas)
+ */
+async function fetchAllNotionResults(blockId, userToken, onErrorResponse, type = null) {
+  const allBlocks = [];
+  let cursor = null;
+  let pagesFetched = 0;
+  
+  do {
+    let apiUrl = `/.netlify/functions/notion-api?pageId=${encodeURIComponent(blockId)}&token=${encodeURIComponent(userToken)}&page_size=${NOTION_BLOCKS_PAGE_SIZE}`;
+    if (type) {
+      apiUrl += `&type=${encodeURIComponent(type)}`;
+    }
+    if (cursor) {
+      apiUrl += `&start_cursor=${encodeURIComponent(cursor)}`;
+    }
+    
+    const response = await fetch(apiUrl, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      await onErrorResponse(response);
+    }
+    
+    const data = await response.json();
+    allBlocks.push(...(data.results || []));
+    pagesFetched++;
+    
+    cursor = data.has_more && data.next_cursor ? data.next_cursor : null;
+    if (cursor) {
+      log(`📄 Página ${pagesFetched} obtenida para ${blockId} (${allBlocks.length} resultados), siguiente cursor...`);
+    }
+  } while (cursor && pagesFetched < NOTION_MAX_BLOCK_PAGES);
+  
+  if (cursor) {
+    // Resultado incompleto: no se guarda en caché y se avisa en la página
+    console.warn(`⚠️ Se alcanzó el límite de ${NOTION_MAX_BLOCK_PAGES} páginas de resultados para:`, blockId);
+    allBlocks.truncated = true;
+  }
+  
+  return allBlocks;
+}
+
+/**
+ * Aviso para listados de Notion que no se cargaron enteros
+ * @param {Array} results - Resultado de fetchAllNotionResults
+ * @returns {string} - HTML (vacío si el listado está completo)
+ */
+function renderTruncatedNotice(results) {
+  if (!results?.truncated) {
+    return '';
+  }
+  const limit = NOTION_MAX_BLOCK_PAGES * NOTION_BLOCKS_PAGE_SIZE;
+  return `<div class="notion-truncated-notice">⚠️ Only the first ${limit} items were loaded. Split this content in Notion to see the rest.</div>`;
+}
+
 async function fetchNotionBlocks(pageId, useCache = true) {
   // Estado 2: Si tengo info en caché y se permite usar caché, devolverla sin pedir a la API
   if (useCache) {
-    const cachedBlocks = getCachedBlocks(pageId);
+    const cachedBlocks = await getCachedBlocks(pageId);
     if (cachedBlocks && cachedBlocks.length > 0) {
       log('✅ Estado 2: Usando caché persistente para:', pageId, '-', cachedBlocks.length, 'bloques');
       return cachedBlocks;
@@ -2139,16 +4449,9 @@ async function fetchNotionBlocks(pageId, useCache = true) {
     // Prioridad: 1) Token del usuario, 2) Token del servidor (Netlify Function), 3) Token local (dev)
     const userToken = getUserToken();
     
-    let apiUrl;
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
     if (userToken) {
       // Usuario tiene su propio token → usar proxy de Netlify Function para evitar CORS
       log('✅ Usando token del usuario para:', pageId);
-      // Usar el proxy de Netlify Function y pasar el token como parámetro
-      apiUrl = `/.netlify/functions/notion-api?pageId=${encodeURIComponent(pageId)}&token=${encodeURIComponent(userToken)}`;
     } else {
       // No hay token del usuario → intentar obtener del caché compartido (room metadata)
       try {
@@ -2166,12 +4469,7 @@ async function fetchNotionBlocks(pageId, useCache = true) {
     }
     
     log('🌐 Obteniendo bloques desde la API para:', pageId);
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: headers
-    });
-
-    if (!response.ok) {
+    const blocks = await fetchAllNotionResults(pageId, userToken, async (response) => {
       const errorData = await response.json().catch(() => ({}));
       
       if (response.status === 401) {
@@ -2181,10 +4479,7 @@ async function fetchNotionBlocks(pageId, useCache = true) {
       } else {
         throw new Error(`Error de API: ${response.status} - ${errorData.message || response.statusText}`);
       }
-    }
-
-    const data = await response.json();
-    const blocks = data.results || [];
+    });
     
     // Log detallado de los bloques recibidos
     log('📦 Bloques recibidos de la API:', blocks.length);
@@ -2212,8 +4507,8 @@ async function fetchNotionBlocks(pageId, useCache = true) {
     }
     
     // Estado 1: Guardar en caché persistente después de obtener exitosamente (sin expiración)
-    if (blocks.length > 0) {
-      setCachedBlocks(pageId, blocks);
+    if (blocks.length > 0 && !blocks.truncated) {
+      await setCachedBlocks(pageId, blocks);
       log('💾 Estado 1: Bloques guardados en caché persistente para:', pageId);
     }
     
@@ -2224,31 +4519,474 @@ async function fetchNotionBlocks(pageId, useCache = true) {
   }
 }
 
-// Función para renderizar texto con formato
-function renderRichText(richTextArray) {
-  if (!richTextArray || richTextArray.length === 0) return '';
-  
-  return richTextArray.map(text => {
-    let content = text.plain_text || '';
-    
-    // Convertir saltos de línea a <br> antes de aplicar formatos
-    // Esto asegura que los <br> queden dentro de los tags de formato
-    content = content.replace(/\n/g, '<br>');
-    
-    if (text.annotations) {
-      if (text.annotations.bold) content = `<strong class="notion-text-bold">${content}</strong>`;
-      if (text.annotations.italic) content = `<em class="notion-text-italic">${content}</em>`;
-      if (text.annotations.underline) content = `<u class="notion-text-underline">${content}</u>`;
-      if (text.annotations.strikethrough) content = `<s class="notion-text-strikethrough">${content}</s>`;
-      if (text.annotations.code) content = `<code class="notion-text-code">${content}</code>`;
-      
-      if (text.href) {
-        content = `<a href="${text.href}" class="notion-text-link" target="_blank" rel="noopener noreferrer">${content}</a>`;
+// ============================================
+// RESALTADO DE CÓDIGO Y ECUACIONES
+// ============================================
+// Ambos se resuelven localmente (sin CDN) para que funcionen aunque el navegador no tenga acceso externo
+
+/**
+ * Escapar HTML de un texto plano
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Comprueba que una URL de Notion se puede usar en href/src (solo http y https)
+ */
+function isHttpUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url.trim());
+}
+
+// Palabras clave por familia de lenguaje (los nombres son los de block.code.language de Notion)
+const CODE_KEYWORDS = {
+  javascript: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield',
+  python: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+  c: 'auto break case char class const continue default do double else enum extern final float for fn func go goto if impl import int interface let long match mod mut namespace new package private protected pub public return short signed sizeof static struct super switch this throw trait try type typedef union unsigned use using var virtual void volatile while',
+  shell: 'case do done elif else esac export fi for function if in local return then until while echo cd',
+  sql: 'add all alter and as asc between by create delete desc distinct drop exists from group having in index inner insert into is join key left like limit not on or order outer primary right select set table union update values where',
+  lua: 'and break do else elseif end for function goto if in local not or repeat return then until while',
+  css: 'important media import keyframes font-face supports'
+};
+
+const CODE_LANGUAGE_FAMILIES = {
+  javascript: 'javascript', typescript: 'javascript', 'java/c/c++/c#': 'c', java: 'c', c: 'c', 'c++': 'c', 'c#': 'c',
+  go: 'c', rust: 'c', kotlin: 'c', swift: 'c', scala: 'c', dart: 'c', php: 'c',
+  python: 'python', ruby: 'python', 'coffeescript': 'python',
+  shell: 'shell', bash: 'shell', powershell: 'shell', docker: 'shell',
+  sql: 'sql', lua: 'lua', css: 'css', scss: 'css', less: 'css', sass: 'css',
+  json: 'json', yaml: 'yaml', toml: 'yaml', html: 'markup', xml: 'markup', markdown: 'plain', 'plain text': 'plain'
+};
+
+/**
+ * Construir la expresión regular de tokens para una familia de lenguaje
+ * Cada grupo con nombre corresponde a una clase CSS notion-code-token--{grupo}
+ */
+function getCodeTokenRegex(family) {
+  if (family === 'markup') {
+    return /(?<comment><!--[\s\S]*?-->)|(?<keyword><\/?[a-zA-Z][\w:-]*|\/?>)|(?<property>\b[a-zA-Z-:]+(?==))|(?<string>"[^"]*"|'[^']*')/g;
+  }
+  if (family === 'json') {
+    return /(?<property>"(?:\\.|[^"\\])*"(?=\s*:))|(?<string>"(?:\\.|[^"\\])*")|(?<number>-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|(?<literal>\b(?:true|false|null)\b)/g;
+  }
+  if (family === 'yaml') {
+    return /(?<comment>#.*)|(?<property>^[ \t-]*[\w.-]+(?=\s*[:=]))|(?<string>"(?:\\.|[^"\\])*"|'[^']*')|(?<number>\b\d+(?:\.\d+)?\b)|(?<literal>\b(?:true|false|null|yes|no|on|off)\b)/gm;
+  }
+  if (family === 'plain') {
+    // En texto plano solo se resaltan las tiradas de dados (2d6+3, d20...)
+    return /(?<number>\b\d*d\d+(?:\s*[+-]\s*\d+)?\b)/g;
+  }
+  const keywords = CODE_KEYWORDS[family] || CODE_KEYWORDS.c;
+  const lineComment = family === 'python' || family === 'shell' ? '#.*' : family === 'sql' || family === 'lua' ? '--.*' : '\\/\\/.*';
+  const keywordPattern = keywords.split(' ').join('|');
+  return new RegExp(
+    `(?<comment>${lineComment}|\\/\\*[\\s\\S]*?\\*\\/)` +
+    '|(?<string>`(?:\\\\.|[^`\\\\])*`|"(?:\\\\.|[^"\\\\])*"|\'(?:\\\\.|[^\'\\\\])*\')' +
+    '|(?<number>\\b\\d+(?:\\.\\d+)?\\b)' +
+    '|(?<literal>\\b(?:true|false|null|undefined|None|True|False|nil)\\b)' +
+    `|(?<keyword>\\b(?:${keywordPattern})\\b)` +
+    '|(?<function>\\b[a-zA-Z_$][\\w$]*(?=\\s*\\())',
+    family === 'sql' ? 'gi' : 'g'
+  );
+}
+
+/**
+ * Resaltar código según el lenguaje de Notion
+ * @param {string} code - Código en texto plano
+ * @param {string} language - Lenguaje de Notion (block.code.language)
+ * @returns {string} - HTML escapado con spans de tokens
+ */
+function highlightCode(code, language) {
+  const family = CODE_LANGUAGE_FAMILIES[(language || '').toLowerCase()] || 'c';
+  const regex = getCodeTokenRegex(family);
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    const tokenType = Object.keys(match.groups).find(group => match.groups[group] !== undefined);
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    html += `<span class="notion-code-token--${tokenType}">${escapeHtml(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+  html += escapeHtml(code.slice(lastIndex));
+  return html;
+}
+
+/**
+ * Renderizar un bloque de código con resaltado, etiqueta de lenguaje y botón de copiar
+ */
+function renderCodeBlock(block) {
+  const code = (block.code?.rich_text || []).map(text => text.plain_text || '').join('');
+  const language = block.code?.language || 'plain text';
+  const caption = block.code?.caption ? renderRichText(block.code.caption) : '';
+  return `
+    <div class="notion-code-block">
+      <div class="notion-code-header">
+        <span class="notion-code-language">${escapeHtml(language)}</span>
+        <button class="notion-code-copy" title="Copy code">Copy</button>
+      </div>
+      <pre class="notion-code" data-language="${escapeHtml(language)}"><code>${highlightCode(code, language)}</code></pre>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Configurar los botones de copiar de los bloques de código
+ */
+function attachCodeCopyHandlers() {
+  const copyButtons = document.querySelectorAll('.notion-code-copy');
+  copyButtons.forEach(button => {
+    button.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const codeElement = button.closest('.notion-code-block')?.querySelector('code');
+      if (!codeElement) return;
+      const code = codeElement.textContent;
+      try {
+        await navigator.clipboard.writeText(code);
+      } catch (error) {
+        // El iframe de Owlbear puede no tener permiso de portapapeles: usar el método clásico
+        const textarea = document.createElement('textarea');
+        textarea.value = code;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+      }
+      button.textContent = 'Copied';
+      setTimeout(() => {
+        button.textContent = 'Copy';
+      }, 1500);
+    });
+  });
+}
+
+/**
+ * Renderizar una expresión TeX con KaTeX (incluido en vendor/katex, sin CDN)
+ * Las expresiones con errores se muestran con el mensaje de KaTeX en lugar de romper la página
+ * @param {string} tex - Expresión TeX
+ * @param {boolean} displayMode - true para ecuaciones de bloque
+ * @returns {string} - HTML de KaTeX
+ */
+function renderTex(tex, displayMode = false) {
+  try {
+    return katex.renderToString(tex, { displayMode, throwOnError: false });
+  } catch (error) {
+    console.warn('⚠️ No se pudo renderizar la ecuación:', tex, error);
+    return `<code class="notion-text-code">${escapeHtml(tex)}</code>`;
+  }
+}
+
+/**
+ * Convertir un color de Notion ('red', 'blue_background'...) en su clase CSS
+ * @returns {string} - Clase CSS o '' si es el color por defecto
+ */
+function getNotionColorClass(color) {
+  if (!color || color === 'default') return '';
+  return `notion-color--${color.replace('_background', '-background')}`;
+}
+
+/**
+ * Clase de color de un bloque para añadir a su lista de clases (con espacio inicial)
+ */
+function getBlockColorClass(block) {
+  const colorClass = getNotionColorClass(block?.[block.type]?.color);
+  return colorClass ? ` ${colorClass}` : '';
+}
+
+/**
+ * ID de ancla de un heading (estable: se basa en el ID del bloque)
+ */
+function getHeadingAnchorId(block) {
+  return `notion-heading-${block.id}`;
+}
+
+/**
+ * Atributos de un heading: ID de ancla (para el índice) y clase de color
+ */
+function getHeadingAttributes(block) {
+  const colorClass = getNotionColorClass(block?.[block.type]?.color);
+  return ` id="${getHeadingAnchorId(block)}"${colorClass ? ` class="${colorClass}"` : ''}`;
+}
+
+// Función para renderizar texto con formato
+function renderRichText(richTextArray) {
+  if (!richTextArray || richTextArray.length === 0) return '';
+  
+  return richTextArray.map(text => {
+    let content = escapeHtml(text.plain_text || '');
+    
+    // Convertir saltos de línea a <br> antes de aplicar formatos
+    // Esto asegura que los <br> queden dentro de los tags de formato
+    content = content.replace(/\n/g, '<br>');
+    
+    // Las menciones de páginas ya son enlaces dentro del vault, no usar su href de Notion
+    let href = text.href;
+    if (text.type === 'equation' && text.equation) {
+      content = renderTex(text.equation.expression || '', false);
+    } else if (text.type === 'mention' && text.mention) {
+      content = renderMention(text.mention, content);
+      if (text.mention.type === 'page' || text.mention.type === 'date' || text.mention.type === 'user') {
+        href = null;
+      }
+    }
+    
+    if (text.annotations) {
+      if (text.annotations.bold) content = `<strong class="notion-text-bold">${content}</strong>`;
+      if (text.annotations.italic) content = `<em class="notion-text-italic">${content}</em>`;
+      if (text.annotations.underline) content = `<u class="notion-text-underline">${content}</u>`;
+      if (text.annotations.strikethrough) content = `<s class="notion-text-strikethrough">${content}</s>`;
+      if (text.annotations.code) content = `<code class="notion-text-code">${content}</code>`;
+      
+      const colorClass = getNotionColorClass(text.annotations.color);
+      if (colorClass) content = `<span class="${colorClass}">${content}</span>`;
+      
+      // Enlaces relativos de Notion (/id) o http(s); nunca javascript: u otros esquemas
+      if (href && (isHttpUrl(href) || href.startsWith('/'))) {
+        content = `<a href="${escapeHtml(href)}" class="notion-text-link" target="_blank" rel="noopener noreferrer">${content}</a>`;
+      }
+    }
+    
+    return content;
+  }).join('');
+}
+
+/**
+ * Renderizar una mención de Notion (página, base de datos, fecha o usuario)
+ * @param {object} mention - Objeto mention del rich text
+ * @param {string} content - Texto ya preparado (plain_text con <br>)
+ * @returns {string} - HTML
+ */
+function renderMention(mention, content) {
+  switch (mention.type) {
+    case 'page': {
+      // Se abre dentro del vault a través de attachPageLinkHandlers
+      const pageId = mention.page?.id;
+      if (!pageId) return content;
+      const pageName = content.replace(/<br>/g, ' ');
+      const pageUrl = buildNotionPageUrl(pageId, pageName);
+      return `<span class="notion-mention notion-mention--page" data-page-url="${escapeHtml(pageUrl)}" data-page-name="${pageName}">${content}</span>`;
+    }
+    case 'database':
+      // Las bases de datos no se pueden abrir como página: se enlazan a Notion (href del rich text)
+      return `<span class="notion-mention notion-mention--database">${content}</span>`;
+    case 'date': {
+      const formattedDate = formatNotionDate(mention.date);
+      return `<span class="notion-mention notion-mention--date">${formattedDate ? escapeHtml(formattedDate) : content}</span>`;
+    }
+    case 'user': {
+      const userName = mention.user?.name ? escapeHtml(mention.user.name) : content.replace(/^@/, '');
+      return `<span class="notion-mention notion-mention--user">@${userName}</span>`;
+    }
+    default:
+      return content;
+  }
+}
+
+/**
+ * Obtener la URL de un objeto de archivo de Notion (external o file)
+ */
+function getNotionFileUrl(fileObject) {
+  if (!fileObject) return null;
+  return fileObject.external?.url || fileObject.file?.url || null;
+}
+
+/**
+ * Botón "show to players" para bloques multimedia
+ * @param {'video'|'embed'} shareKind - Canal de broadcast a usar (showVideo o showGoogleDoc)
+ * @param {string} url - URL a compartir
+ * @param {string} shareType - Tipo de video (youtube, vimeo, file, audio) o nombre del embed
+ * @param {string} caption - Texto del caption
+ */
+function renderMediaShareButton(shareKind, url, shareType, caption = '') {
+  // El caption (y el nombre del embed) ya es HTML escapado: solo se quitan las etiquetas
+  const toAttribute = (html) => html.replace(/<[^>]*>/g, '').replace(/"/g, '&quot;');
+  return `
+    <button class="notion-media-share-button share-button"
+            data-share-kind="${shareKind}"
+            data-share-url="${escapeHtml(url)}"
+            data-share-type="${toAttribute(shareType)}"
+            data-share-caption="${toAttribute(caption)}"
+            title="Show to players">
+      <img src="img/icon-players.svg" alt="Share" />
+    </button>
+  `;
+}
+
+/**
+ * Renderizar un bookmark o link_preview como tarjeta de enlace
+ */
+function renderBookmarkCard(url, caption = '') {
+  if (!isHttpUrl(url)) return '';
+  let hostname = url;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    // URL no válida, mostrarla tal cual
+  }
+  return `
+    <div class="notion-bookmark">
+      <a href="${escapeHtml(url)}" class="notion-bookmark-card" target="_blank" rel="noopener noreferrer">
+        <span class="notion-bookmark-title">${escapeHtml(hostname)}</span>
+        <span class="notion-bookmark-url">${escapeHtml(url)}</span>
+      </a>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renderizar un embed en un iframe, usando la misma conversión que las páginas de la lista
+ */
+function renderEmbedBlock(url, caption = '') {
+  // Solo http(s): la URL acaba en el src de un iframe que también ven los players
+  if (!isHttpUrl(url)) return '';
+  const linkType = getLinkType(url);
+  let embedUrl;
+  if (linkType.type === 'youtube' || linkType.type === 'vimeo') {
+    embedUrl = getVideoEmbedUrl(url, linkType.type);
+  } else {
+    embedUrl = convertToEmbedUrl(url).url;
+  }
+  if (!isHttpUrl(embedUrl)) return '';
+  const shareButton = (linkType.type === 'youtube' || linkType.type === 'vimeo')
+    ? renderMediaShareButton('video', embedUrl, linkType.type, caption)
+    : renderMediaShareButton('embed', embedUrl, caption || 'Embed', caption);
+  return `
+    <div class="notion-embed">
+      <div class="notion-embed-container">
+        <iframe src="${escapeHtml(embedUrl)}" class="notion-embed-iframe" loading="lazy" frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" allowfullscreen></iframe>
+        ${shareButton}
+      </div>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renderizar un bloque de video: los enlaces de YouTube/Vimeo como embed y los archivos con reproductor nativo
+ */
+function renderVideoBlock(block) {
+  const video = block.video;
+  const url = getNotionFileUrl(video);
+  const caption = video?.caption ? renderRichText(video.caption) : '';
+  if (!isHttpUrl(url)) {
+    return '<div class="notion-image-unavailable">[Video no disponible]</div>';
+  }
+  const linkType = getLinkType(url);
+  if (linkType.type === 'youtube' || linkType.type === 'vimeo') {
+    return renderEmbedBlock(url, caption);
+  }
+  return `
+    <div class="notion-video">
+      <div class="notion-embed-container">
+        <video src="${escapeHtml(url)}" class="notion-video-player" controls preload="metadata"></video>
+        ${renderMediaShareButton('video', url, 'file', caption)}
+      </div>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renderizar un bloque de audio con reproductor nativo (ideal para música ambiente)
+ */
+function renderAudioBlock(block) {
+  const audio = block.audio;
+  const url = getNotionFileUrl(audio);
+  const caption = audio?.caption ? renderRichText(audio.caption) : '';
+  if (!isHttpUrl(url)) {
+    return '<div class="notion-image-unavailable">[Audio no disponible]</div>';
+  }
+  return `
+    <div class="notion-audio">
+      <div class="notion-audio-container">
+        <audio src="${escapeHtml(url)}" class="notion-audio-player" controls preload="none"></audio>
+        ${renderMediaShareButton('video', url, 'audio', caption)}
+      </div>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renderizar un PDF con visor inline y enlace de descarga
+ */
+function renderPdfBlock(block) {
+  const pdf = block.pdf;
+  const url = getNotionFileUrl(pdf);
+  const caption = pdf?.caption ? renderRichText(pdf.caption) : '';
+  const embedUrl = isHttpUrl(url) ? convertToEmbedUrl(url).url : null;
+  if (!isHttpUrl(embedUrl)) {
+    return '<div class="notion-image-unavailable">[PDF no disponible]</div>';
+  }
+  return `
+    <div class="notion-pdf">
+      <div class="notion-embed-container">
+        <iframe src="${escapeHtml(embedUrl)}" class="notion-pdf-viewer" loading="lazy" frameborder="0"></iframe>
+        ${renderMediaShareButton('embed', embedUrl, caption || 'PDF', caption)}
+      </div>
+      <a href="${escapeHtml(url)}" class="notion-file" target="_blank" rel="noopener noreferrer" download>📄 Download PDF</a>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renderizar un archivo adjunto como enlace de descarga
+ */
+function renderFileBlock(block) {
+  const file = block.file;
+  const url = getNotionFileUrl(file);
+  const caption = file?.caption ? renderRichText(file.caption) : '';
+  if (!isHttpUrl(url)) {
+    return '<div class="notion-image-unavailable">[Archivo no disponible]</div>';
+  }
+  let fileName = file?.name || '';
+  if (!fileName) {
+    try {
+      fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    } catch (e) {
+      fileName = 'File';
+    }
+  }
+  return `
+    <div class="notion-file-block">
+      <a href="${escapeHtml(url)}" class="notion-file" target="_blank" rel="noopener noreferrer" download>📎 ${escapeHtml(fileName)}</a>
+      ${caption ? `<div class="notion-image-caption">${caption}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Configurar los botones "show to players" de los bloques multimedia
+ * Los videos y audios van por el canal de video; embeds y PDFs por el visor de documentos
+ */
+function attachMediaShareHandlers() {
+  const shareButtons = document.querySelectorAll('.notion-media-share-button');
+  shareButtons.forEach(button => {
+    button.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const shareUrl = button.getAttribute('data-share-url');
+      const shareType = button.getAttribute('data-share-type');
+      const caption = button.getAttribute('data-share-caption') || '';
+      if (button.getAttribute('data-share-kind') === 'video') {
+        await shareVideoToPlayers(shareUrl, caption, shareType, button);
+      } else {
+        await shareGoogleDocToPlayers(shareUrl, shareType, button);
       }
-    }
-    
-    return content;
-  }).join('');
+    });
+  });
 }
 
 // Función para renderizar un bloque individual
@@ -2258,32 +4996,32 @@ function renderBlock(block) {
   switch (type) {
     case 'paragraph':
       const paragraphText = renderRichText(block.paragraph?.rich_text);
-      return `<p class="notion-paragraph">${paragraphText || '<br>'}</p>`;
+      return `<p class="notion-paragraph${getBlockColorClass(block)}">${paragraphText || '<br>'}</p>`;
     
     case 'heading_1':
       // Los headings pueden tener hijos (contenido anidado debajo del heading)
       // Se manejan en renderBlocks de forma especial si tienen hijos
-      return `<h1>${renderRichText(block.heading_1?.rich_text)}</h1>`;
+      return `<h1${getHeadingAttributes(block)}>${renderRichText(block.heading_1?.rich_text)}</h1>`;
     
     case 'heading_2':
       // Los headings pueden tener hijos (contenido anidado debajo del heading)
       // Se manejan en renderBlocks de forma especial si tienen hijos
-      return `<h2>${renderRichText(block.heading_2?.rich_text)}</h2>`;
+      return `<h2${getHeadingAttributes(block)}>${renderRichText(block.heading_2?.rich_text)}</h2>`;
     
     case 'heading_3':
       // Los headings pueden tener hijos (contenido anidado debajo del heading)
       // Se manejan en renderBlocks de forma especial si tienen hijos
-      return `<h3>${renderRichText(block.heading_3?.rich_text)}</h3>`;
+      return `<h3${getHeadingAttributes(block)}>${renderRichText(block.heading_3?.rich_text)}</h3>`;
     
     case 'bulleted_list_item':
       // Los elementos de lista pueden tener hijos (listas anidadas)
       // Se manejan en renderBlocks de forma especial si tienen hijos
-      return `<li class="notion-bulleted-list-item">${renderRichText(block.bulleted_list_item?.rich_text)}</li>`;
+      return `<li class="notion-bulleted-list-item${getBlockColorClass(block)}">${renderRichText(block.bulleted_list_item?.rich_text)}</li>`;
     
     case 'numbered_list_item':
       // Los elementos de lista pueden tener hijos (listas anidadas)
       // Se manejan en renderBlocks de forma especial si tienen hijos
-      return `<li class="notion-numbered-list-item">${renderRichText(block.numbered_list_item?.rich_text)}</li>`;
+      return `<li class="notion-numbered-list-item${getBlockColorClass(block)}">${renderRichText(block.numbered_list_item?.rich_text)}</li>`;
     
     case 'image':
       const image = block.image;
@@ -2359,19 +5097,20 @@ function renderBlock(block) {
       return '<div class="notion-divider"></div>';
     
     case 'code':
-      const codeText = renderRichText(block.code?.rich_text);
-      const language = block.code?.language || '';
-      return `<pre class="notion-code"><code>${codeText}</code></pre>`;
+      return renderCodeBlock(block);
+    
+    case 'equation':
+      return `<div class="notion-equation">${renderTex(block.equation?.expression || '', true)}</div>`;
     
     case 'quote':
-      return `<div class="notion-quote">${renderRichText(block.quote?.rich_text)}</div>`;
+      return `<div class="notion-quote${getBlockColorClass(block)}">${renderRichText(block.quote?.rich_text)}</div>`;
     
     case 'callout':
       const callout = block.callout;
       const icon = callout?.icon?.emoji || '💡';
       const calloutText = renderRichText(callout?.rich_text);
       return `
-        <div class="notion-callout">
+        <div class="notion-callout${getBlockColorClass(block)}">
           <div class="notion-callout-icon">${icon}</div>
           <div class="notion-callout-content">${calloutText}</div>
         </div>
@@ -2382,7 +5121,8 @@ function renderBlock(block) {
       return '<div class="notion-table-container" data-table-id="' + block.id + '">Loading table...</div>';
     
     case 'child_database':
-      return '<div class="notion-database-placeholder">[Base de datos - Requiere implementación adicional]</div>';
+      // Las bases de datos se renderizan de forma especial (ver renderBlocks)
+      return '<div class="notion-database-placeholder" data-database-id="' + block.id + '">Loading database...</div>';
     
     case 'column_list':
       // Columnas: se procesan en renderBlocks de forma especial
@@ -2394,18 +5134,52 @@ function renderBlock(block) {
       // Este caso no debería ejecutarse nunca, pero lo dejamos por seguridad
       return '<div class="notion-column">[Columna - Procesando...]</div>';
     
+    case 'bookmark':
+      return renderBookmarkCard(block.bookmark?.url, block.bookmark?.caption ? renderRichText(block.bookmark.caption) : '');
+    
+    case 'link_preview':
+      return renderBookmarkCard(block.link_preview?.url);
+    
+    case 'embed':
+      return renderEmbedBlock(block.embed?.url, block.embed?.caption ? renderRichText(block.embed.caption) : '');
+    
+    case 'video':
+      return renderVideoBlock(block);
+    
+    case 'audio':
+      return renderAudioBlock(block);
+    
+    case 'pdf':
+      return renderPdfBlock(block);
+    
+    case 'file':
+      return renderFileBlock(block);
+    
+    case 'table_of_contents':
+      // Se rellena después de renderizar, con los headings de la página (ver enhancePageNavigation)
+      return `<nav class="notion-table-of-contents${getBlockColorClass(block)}"></nav>`;
+    
+    case 'breadcrumb':
+      // Se rellena después de renderizar con la pila de navegación del vault
+      return '<nav class="notion-breadcrumb-block"></nav>';
+    
+    case 'child_page':
+    case 'link_to_page':
+      // Las subpáginas se renderizan de forma especial en renderBlocks (necesitan título e icono)
+      return '';
+    
     case 'to_do':
       const todo = block.to_do;
       const todoText = renderRichText(todo?.rich_text);
       const checked = todo?.checked ? 'checked' : '';
-      return `<div class="notion-todo"><input type="checkbox" ${checked} disabled> ${todoText}</div>`;
+      return `<div class="notion-todo${getBlockColorClass(block)}"><input type="checkbox" ${checked} disabled> ${todoText}</div>`;
     
     case 'toggle':
       // Los toggles se renderizan de forma especial en renderBlocks (tienen hijos)
       // Este caso no debería ejecutarse nunca, pero lo dejamos por seguridad
       const toggle = block.toggle;
       const toggleText = renderRichText(toggle?.rich_text);
-      return `<details class="notion-toggle"><summary>${toggleText}</summary><div class="notion-toggle-content" data-toggle-id="${block.id}">Loading content...</div></details>`;
+      return `<details class="notion-toggle${getBlockColorClass(block)}"><summary>${toggleText}</summary><div class="notion-toggle-content" data-toggle-id="${block.id}">Loading content...</div></details>`;
     
     default:
       console.warn('⚠️ Tipo de bloque no soportado:', type, {
@@ -2421,7 +5195,7 @@ function renderBlock(block) {
 async function fetchBlockChildren(blockId, useCache = true) {
   // Verificar caché primero
   if (useCache) {
-    const cachedBlocks = getCachedBlocks(blockId);
+    const cachedBlocks = await getCachedBlocks(blockId);
     if (cachedBlocks && cachedBlocks.length > 0) {
       log('✅ Usando caché para hijos del bloque:', blockId);
       return cachedBlocks;
@@ -2439,15 +5213,7 @@ async function fetchBlockChildren(blockId, useCache = true) {
     
     const userToken = getUserToken();
     
-    let apiUrl;
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
-    if (userToken) {
-      // Usar proxy de Netlify Function para evitar CORS
-      apiUrl = `/.netlify/functions/notion-api?pageId=${encodeURIComponent(blockId)}&token=${encodeURIComponent(userToken)}`;
-    } else {
+    if (!userToken) {
       // No hay token del usuario → intentar obtener del caché compartido (room metadata)
       try {
         const metadata = await OBR.room.getMetadata();
@@ -2462,21 +5228,14 @@ async function fetchBlockChildren(blockId, useCache = true) {
       throw new Error('No token configured. Configure your Notion token in the extension (🔑 button).');
     }
     
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: headers
-    });
-    
-    if (!response.ok) {
+    // Usar proxy de Netlify Function para evitar CORS (siguiendo la paginación)
+    const children = await fetchAllNotionResults(blockId, userToken, async (response) => {
       throw new Error(`Error al obtener bloques hijos: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const children = data.results || [];
+    });
     
-    // Guardar en caché
-    if (children.length > 0) {
-      setCachedBlocks(blockId, children);
+    // Guardar en caché (solo si se obtuvieron todos)
+    if (children.length > 0 && !children.truncated) {
+      await setCachedBlocks(blockId, children);
     }
     
     return children;
@@ -2522,13 +5281,47 @@ async function renderToggle(toggleBlock, blockTypes = null, headingLevelOffset =
   }
   
   return `
-    <details class="notion-toggle">
+    <details class="notion-toggle${getBlockColorClass(toggleBlock)}">
       <summary class="notion-toggle-summary">${toggleText}</summary>
       <div class="notion-toggle-content">${toggleContent}</div>
     </details>
   `;
 }
 
+/**
+ * Renderizar un synced block
+ * Las referencias (synced_from.block_id) se resuelven al bloque original, de modo que sus hijos
+ * se piden y cachean una sola vez (por ID del original) y se reutilizan en todas las páginas
+ * @returns {Promise<string>} - HTML de los hijos (vacío si no hay contenido accesible)
+ */
+async function renderSyncedBlock(syncedBlock, blockTypes = null, headingLevelOffset = 0, useCache = true) {
+  const syncedFrom = syncedBlock.synced_block?.synced_from;
+  const sourceBlockId = syncedFrom?.block_id || syncedBlock.id;
+  
+  log('🔗 Renderizando synced block:', syncedBlock.id, syncedFrom ? `(referencia a ${sourceBlockId})` : '(original)');
+  
+  let children = await fetchBlockChildren(sourceBlockId, useCache);
+  
+  // Si el original no es accesible para la integración, usar los hijos de la propia referencia
+  if (children.length === 0 && sourceBlockId !== syncedBlock.id && syncedBlock.has_children) {
+    log('  ⚠️ Original del synced block no accesible, usando los hijos de la referencia');
+    children = await fetchBlockChildren(syncedBlock.id, useCache);
+  }
+  
+  if (children.length === 0) {
+    return '';
+  }
+  
+  const content = await renderBlocks(children, blockTypes, headingLevelOffset, useCache);
+  if (!content.trim()) {
+    return '';
+  }
+  // El mismo original puede aparecer varias veces en una página: las anclas de sus headings
+  // llevan el ID de esta copia para que el índice y el outline lleven a cada una
+  const instanceContent = content.replace(/id="notion-heading-/g, `id="notion-heading-${syncedBlock.id}-`);
+  return `<div class="notion-synced-block" data-synced-source="${sourceBlockId}">${instanceContent}</div>`;
+}
+
 // Función para renderizar un toggle heading con su contenido
 async function renderToggleHeading(toggleHeadingBlock, headingLevel, blockTypes = null, headingLevelOffset = 0, useCache = true) {
   const toggleHeading = toggleHeadingBlock[`heading_${headingLevel}`] || toggleHeadingBlock.toggle;
@@ -2570,9 +5363,9 @@ async function renderToggleHeading(toggleHeadingBlock, headingLevel, blockTypes
   const adjustedLevel = Math.min(headingLevel + headingLevelOffset, 6);
   const headingTag = `h${adjustedLevel}`;
   return `
-    <details class="notion-toggle notion-toggle-heading">
+    <details class="notion-toggle notion-toggle-heading${getBlockColorClass(toggleHeadingBlock)}">
       <summary class="notion-toggle-summary">
-        <${headingTag} class="notion-toggle-heading-inline">${headingText}</${headingTag}>
+        <${headingTag} id="${getHeadingAnchorId(toggleHeadingBlock)}" class="notion-toggle-heading-inline">${headingText}</${headingTag}>
       </summary>
       <div class="notion-toggle-content">${toggleContent}</div>
     </details>
@@ -2830,7 +5623,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
           }
         }
         
-        html += `<${headingTag}>${headingText}</${headingTag}>${childrenContent}`;
+        html += `<${headingTag}${getHeadingAttributes(block)}>${headingText}</${headingTag}>${childrenContent}`;
         log(`    ✅ Heading ${baseHeadingLevel} (${headingTag}) con hijos renderizado`);
         continue;
       } catch (error) {
@@ -2839,11 +5632,35 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         const headingLevel = type === 'heading_1' ? 1 : type === 'heading_2' ? 2 : 3;
         const headingTag = `h${headingLevel}`;
         const headingText = renderRichText(block[`heading_${headingLevel}`]?.rich_text);
-        html += `<${headingTag}>${headingText}</${headingTag}>`;
+        html += `<${headingTag}${getHeadingAttributes(block)}>${headingText}</${headingTag}>`;
         continue;
       }
     }
     
+    // Manejar synced blocks (originales y referencias): renderizar los hijos del bloque original
+    if (type === 'synced_block') {
+      // Cerrar lista pendiente antes de renderizar el synced block para mantener el orden correcto
+      if (inList && listItems.length > 0) {
+        html += `<${listType === 'ul' ? 'ul' : 'ol'} class="notion-${listType === 'ul' ? 'bulleted' : 'numbered'}-list">${listItems.join('')}</${listType === 'ul' ? 'ul' : 'ol'}>`;
+        listItems = [];
+        inList = false;
+        listType = null;
+      }
+      
+      try {
+        const syncedContent = await renderSyncedBlock(block, blockTypes, headingLevelOffset, useCache);
+        if (syncedContent.trim()) {
+          html += syncedContent;
+          log(`    ✅ Synced block renderizado`);
+        } else {
+          log(`    ⏭️ Synced block sin contenido que mostrar`);
+        }
+      } catch (error) {
+        console.error('Error al renderizar synced block:', error);
+      }
+      continue;
+    }
+    
     // Manejar callouts que tienen hijos (contenido anidado)
     if (type === 'callout' && block.has_children) {
       // IMPORTANTE: Cerrar lista pendiente antes de renderizar el callout para mantener el orden correcto
@@ -2894,7 +5711,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         
         // Renderizar el callout completo (solo llega aquí si pasa todas las verificaciones)
         html += `
-          <div class="notion-callout">
+          <div class="notion-callout${getBlockColorClass(block)}">
             <div class="notion-callout-icon">${icon}</div>
             <div class="notion-callout-content">
               ${calloutText}
@@ -2918,7 +5735,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         const icon = callout?.icon?.emoji || '💡';
         const calloutText = renderRichText(callout?.rich_text);
         html += `
-          <div class="notion-callout">
+          <div class="notion-callout${getBlockColorClass(block)}">
             <div class="notion-callout-icon">${icon}</div>
             <div class="notion-callout-content">${calloutText}</div>
           </div>
@@ -2951,7 +5768,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         const icon = callout?.icon?.emoji || '💡';
         const calloutText = renderRichText(callout?.rich_text);
         html += `
-          <div class="notion-callout">
+          <div class="notion-callout${getBlockColorClass(block)}">
             <div class="notion-callout-icon">${icon}</div>
             <div class="notion-callout-content">${calloutText}</div>
           </div>
@@ -3005,7 +5822,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         }
         
         html += `
-          <div class="notion-quote">
+          <div class="notion-quote${getBlockColorClass(block)}">
             ${quoteText}
             ${childrenContent}
           </div>
@@ -3017,7 +5834,7 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
         // Fallback: renderizar solo el quote sin hijos
         const quote = block.quote;
         const quoteText = renderRichText(quote?.rich_text);
-        html += `<div class="notion-quote">${quoteText}</div>`;
+        html += `<div class="notion-quote${getBlockColorClass(block)}">${quoteText}</div>`;
         continue;
       }
     }
@@ -3066,15 +5883,15 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
           }
           
           // Construir el elemento de lista con el contenido anidado
-          listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item">${listItemText}${nestedListContent}</li>`;
+          listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item${getBlockColorClass(block)}">${listItemText}${nestedListContent}</li>`;
         } catch (error) {
           console.error(`Error al renderizar elemento de lista con hijos:`, error);
           // Fallback: renderizar solo el elemento sin hijos
-          listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item">${listItemText}</li>`;
+          listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item${getBlockColorClass(block)}">${listItemText}</li>`;
         }
       } else {
         // Sin hijos, renderizar normalmente
-        listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item">${listItemText}</li>`;
+        listItemHtml = `<li class="notion-${type === 'bulleted_list_item' ? 'bulleted' : 'numbered'}-list-item${getBlockColorClass(block)}">${listItemText}</li>`;
       }
       
       listItems.push(listItemHtml);
@@ -3110,6 +5927,28 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
             </div>
           `;
         }
+      } else if (block.type === 'child_page' || block.type === 'link_to_page') {
+        // Manejar subpáginas y enlaces a páginas como tarjetas navegables
+        if (blockTypes) {
+          const typesArray = Array.isArray(blockTypes) ? blockTypes : [blockTypes];
+          if (!typesArray.includes(block.type)) {
+            log(`    ⏭️ Enlace a página filtrado, no se muestra`);
+            continue;
+          }
+        }
+        html += await renderPageLink(block, useCache);
+        log(`    ✅ Enlace a página [${index}] renderizado`);
+      } else if (block.type === 'child_database') {
+        // Manejar bases de datos de forma especial (filas consultadas a la API)
+        if (blockTypes) {
+          const typesArray = Array.isArray(blockTypes) ? blockTypes : [blockTypes];
+          if (!typesArray.includes('child_database')) {
+            log(`    ⏭️ Base de datos filtrada, no se muestra`);
+            continue;
+          }
+        }
+        html += await renderDatabase(block, useCache);
+        log(`    ✅ Base de datos [${index}] renderizada`);
       } else {
         // Verificar si el bloque coincide con el filtro antes de renderizar
         if (blockTypes) {
@@ -3135,80 +5974,535 @@ async function renderBlocks(blocks, blockTypes = null, headingLevelOffset = 0, u
       }
     }
   }
-  
-  // Cerrar lista si queda abierta
-  if (inList && listItems.length > 0) {
-    html += `<${listType === 'ul' ? 'ul' : 'ol'} class="notion-${listType === 'ul' ? 'bulleted' : 'numbered'}-list">${listItems.join('')}</${listType === 'ul' ? 'ul' : 'ol'}>`;
+  
+  // Cerrar lista si queda abierta
+  if (inList && listItems.length > 0) {
+    html += `<${listType === 'ul' ? 'ul' : 'ol'} class="notion-${listType === 'ul' ? 'bulleted' : 'numbered'}-list">${listItems.join('')}</${listType === 'ul' ? 'ul' : 'ol'}>`;
+  }
+  
+  // Hijos de toggles y bloques anidados que no se cargaron enteros
+  html += renderTruncatedNotice(blocks);
+  
+  log('✅ Renderizado completo. HTML generado:', html.length, 'caracteres');
+  return html;
+}
+
+// Función para renderizar una tabla completa
+async function renderTable(tableBlock) {
+  try {
+    // Obtener las filas de la tabla
+    const rows = await fetchNotionBlocks(tableBlock.id);
+    
+    if (!rows || rows.length === 0) {
+      return `
+        <div class="empty-state notion-table-placeholder">
+          <div class="empty-state-icon">📊</div>
+          <p class="empty-state-text">Tabla vacía</p>
+        </div>
+      `;
+    }
+    
+    // Obtener el número de columnas de la primera fila
+    const firstRow = rows[0];
+    const columnCount = firstRow?.table_row?.cells?.length || 0;
+    
+    if (columnCount === 0) {
+      return `
+        <div class="empty-state notion-table-placeholder">
+          <div class="empty-state-icon">📊</div>
+          <p class="empty-state-text">Tabla sin columnas</p>
+        </div>
+      `;
+    }
+    
+    let tableHtml = '<table class="notion-table">';
+    
+    // Renderizar cada fila
+    rows.forEach((rowBlock, rowIndex) => {
+      if (rowBlock.type === 'table_row') {
+        const cells = rowBlock.table_row?.cells || [];
+        tableHtml += '<tr>';
+        
+        // Renderizar cada celda
+        for (let i = 0; i < columnCount; i++) {
+          const cell = cells[i] || [];
+          const cellContent = renderRichText(cell);
+          // La primera fila suele ser el encabezado
+          const isHeader = rowIndex === 0;
+          const tag = isHeader ? 'th' : 'td';
+          tableHtml += `<${tag}>${cellContent || '&nbsp;'}</${tag}>`;
+        }
+        
+        tableHtml += '</tr>';
+      }
+    });
+    
+    tableHtml += '</table>';
+    return tableHtml;
+  } catch (error) {
+    console.error('Error al renderizar tabla:', error);
+    return `
+      <div class="empty-state notion-table-placeholder">
+        <div class="empty-state-icon">⚠️</div>
+        <p class="empty-state-text">Error loading table</p>
+        <p class="empty-state-hint">${error.message}</p>
+      </div>
+    `;
+  }
+}
+
+// ============================================
+// SUBPÁGINAS (child_page / link_to_page)
+// ============================================
+
+/**
+ * Construir una URL de Notion a partir del ID de una página
+ * Incluye un slug del título para que extractNotionPageId pueda leer el ID
+ */
+function buildNotionPageUrl(pageId, title = '') {
+  const cleanId = (pageId || '').replace(/-/g, '');
+  const slug = (title || 'Page')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'Page';
+  return `https://www.notion.so/${slug}-${cleanId}`;
+}
+
+/**
+ * Renderizar un bloque child_page o link_to_page como tarjeta navegable
+ * Los link_to_page que apuntan a una base de datos se renderizan como la base de datos
+ * @param {object} block - Bloque child_page o link_to_page
+ * @param {boolean} useCache - Si se permite usar el caché
+ * @returns {Promise<string>} - HTML
+ */
+async function renderPageLink(block, useCache = true) {
+  let targetPageId = null;
+  let title = '';
+
+  if (block.type === 'child_page') {
+    targetPageId = block.id;
+    title = block.child_page?.title || '';
+  } else {
+    const link = block.link_to_page || {};
+    if (link.type === 'database_id' && link.database_id) {
+      return await renderDatabase({ id: link.database_id, type: 'child_database', child_database: {} }, useCache);
+    }
+    if (link.type !== 'page_id' || !link.page_id) {
+      log('⚠️ link_to_page sin página de destino:', block.id, link.type);
+      return '';
+    }
+    targetPageId = link.page_id;
+  }
+
+  // La información de la página (título e icono) se cachea igual que la de cualquier página
+  const pageInfo = await fetchNotionPageInfo(targetPageId, useCache);
+  if (!title && pageInfo) {
+    const titleProperty = Object.values(pageInfo.properties || {}).find(prop => prop.type === 'title');
+    title = (titleProperty?.title || []).map(text => text.plain_text || '').join('');
+  }
+  title = title || 'Untitled';
+
+  const icon = pageInfo?.icon?.type === 'emoji' ? pageInfo.icon.emoji : '📄';
+  const pageUrl = buildNotionPageUrl(targetPageId, title);
+  const safeTitle = title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+  return `
+    <div class="notion-page-link" data-page-url="${pageUrl}" data-page-name="${safeTitle}">
+      <span class="notion-page-link-icon">${icon}</span>
+      <span class="notion-page-link-title">${safeTitle}</span>
+    </div>
+  `;
+}
+
+// ============================================
+// BASES DE DATOS DE NOTION (child_database)
+// ============================================
+
+// Máximo de páginas relacionadas cuyo título se resuelve por base de datos (cada una es una petición)
+const MAX_DATABASE_RELATION_LOOKUPS = 50;
+
+// Tipos de propiedades que se muestran como columnas
+const DATABASE_VISIBLE_PROPERTY_TYPES = [
+  'title', 'rich_text', 'select', 'multi_select', 'status', 'number',
+  'checkbox', 'date', 'url', 'email', 'phone_number', 'relation', 'formula', 'people'
+];
+
+/**
+ * Obtener el esquema de una base de datos de Notion (título y propiedades) con caché
+ * @param {string} databaseId - ID de la base de datos
+ * @param {boolean} useCache - Si se permite usar el caché
+ * @returns {Promise<object|null>}
+ */
+async function fetchNotionDatabase(databaseId, useCache = true) {
+  if (useCache) {
+    const cachedDatabase = await getCachedPageInfo(databaseId);
+    if (cachedDatabase) {
+      return cachedDatabase;
+    }
+  }
+
+  const userToken = getUserToken();
+  if (!userToken) {
+    return null;
+  }
+
+  const apiUrl = `/.netlify/functions/notion-api?pageId=${encodeURIComponent(databaseId)}&type=database&token=${encodeURIComponent(userToken)}`;
+  const response = await fetch(apiUrl, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      // Las vistas enlazadas (linked databases) no son accesibles desde la API
+      throw new Error('Database not found. Linked views are not supported; share the original database with the integration.');
+    }
+    throw new Error(`Error al obtener la base de datos: ${response.status}`);
+  }
+
+  const database = await response.json();
+  await setCachedPageInfo(databaseId, database);
+  return database;
+}
+
+/**
+ * Obtener todas las filas de una base de datos de Notion (paginado) con caché
+ * @param {string} databaseId - ID de la base de datos
+ * @param {boolean} useCache - Si se permite usar el caché
+ * @returns {Promise<Array>}
+ */
+async function fetchNotionDatabaseRows(databaseId, useCache = true) {
+  if (useCache) {
+    const cachedRows = await getCachedBlocks(databaseId);
+    if (cachedRows && cachedRows.length > 0) {
+      log('✅ Usando caché para filas de la base de datos:', databaseId);
+      return cachedRows;
+    }
+  }
+
+  const userToken = getUserToken();
+  if (!userToken) {
+    return [];
+  }
+
+  const rows = await fetchAllNotionResults(databaseId, userToken, async (response) => {
+    throw new Error(`Error al consultar la base de datos: ${response.status}`);
+  }, 'database_query');
+
+  if (rows.length > 0 && !rows.truncated) {
+    await setCachedBlocks(databaseId, rows);
+  }
+
+  log('📊 Filas obtenidas de la base de datos:', databaseId, '-', rows.length);
+  return rows;
+}
+
+/**
+ * Decidir cómo mostrar la base de datos
+ * La API pública de Notion no expone las vistas, así que se deduce a partir del contenido:
+ * - gallery: la mayoría de filas tienen cover
+ * - list: solo hay una propiedad visible (el título)
+ * - table: el resto de casos
+ * @returns {'table'|'list'|'gallery'}
+ */
+function getDatabaseLayout(columns, rows) {
+  const rowsWithCover = rows.filter(row => getDatabaseRowCoverUrl(row)).length;
+  if (rows.length > 0 && rowsWithCover >= rows.length / 2) {
+    return 'gallery';
+  }
+  if (columns.length <= 1) {
+    return 'list';
+  }
+  return 'table';
+}
+
+/**
+ * Obtener la URL del cover de una fila (página) de la base de datos
+ */
+function getDatabaseRowCoverUrl(row) {
+  const cover = row?.cover;
+  if (!cover) return null;
+  if (cover.type === 'external') return cover.external?.url || null;
+  if (cover.type === 'file') return cover.file?.url || null;
+  return null;
+}
+
+/**
+ * Obtener las columnas (propiedades) de la base de datos, con el título primero
+ * @returns {Array<{name: string, type: string}>}
+ */
+function getDatabaseColumns(database) {
+  const properties = database?.properties || {};
+  const columns = Object.keys(properties)
+    .map(name => ({ name, type: properties[name].type }))
+    .filter(column => DATABASE_VISIBLE_PROPERTY_TYPES.includes(column.type));
+
+  return [
+    ...columns.filter(column => column.type === 'title'),
+    ...columns.filter(column => column.type !== 'title')
+  ];
+}
+
+/**
+ * Resolver los títulos de las páginas relacionadas (propiedades relation)
+ * @returns {Promise<object>} - Mapa { pageId: títuloHtml }
+ */
+async function fetchDatabaseRelationTitles(rows, columns, useCache = true) {
+  const relationColumns = columns.filter(column => column.type === 'relation');
+  if (relationColumns.length === 0) {
+    return {};
+  }
+
+  const relationIds = new Set();
+  rows.forEach(row => {
+    relationColumns.forEach(column => {
+      const relations = row.properties?.[column.name]?.relation || [];
+      relations.forEach(relation => relationIds.add(relation.id));
+    });
+  });
+
+  const idsToResolve = Array.from(relationIds).slice(0, MAX_DATABASE_RELATION_LOOKUPS);
+  if (relationIds.size > idsToResolve.length) {
+    console.warn(`⚠️ Demasiadas relaciones (${relationIds.size}), solo se resuelven ${idsToResolve.length}`);
+  }
+
+  const titles = {};
+  await Promise.all(idsToResolve.map(async (id) => {
+    const pageInfo = await fetchNotionPageInfo(id, useCache);
+    const title = extractPageTitle(pageInfo);
+    if (title) {
+      titles[id] = title;
+    }
+  }));
+
+  return titles;
+}
+
+/**
+ * Renderizar una etiqueta de select/multi_select/status con su color de Notion
+ */
+function renderDatabaseTag(option) {
+  if (!option || !option.name) return '';
+  const color = /^[a-z_]+$/.test(option.color || '') ? option.color : 'default';
+  return `<span class="notion-database-tag notion-database-tag--${color}">${escapeHtml(option.name)}</span>`;
+}
+
+/**
+ * Formatear una fecha de Notion (ISO) o un rango de fechas para mostrarla
+ */
+function formatNotionDate(dateValue) {
+  if (!dateValue || !dateValue.start) return '';
+  const format = (isoString) => {
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return isoString;
+    // Las fechas sin hora vienen como YYYY-MM-DD
+    return isoString.length > 10 ? date.toLocaleString() : date.toLocaleDateString();
+  };
+  return dateValue.end ? `${format(dateValue.start)} → ${format(dateValue.end)}` : format(dateValue.start);
+}
+
+/**
+ * Renderizar el valor de una propiedad de una fila de base de datos
+ * @param {object} property - Propiedad de la fila (row.properties[nombre])
+ * @param {object} relationTitles - Mapa de títulos de páginas relacionadas
+ * @returns {string} - HTML
+ */
+function renderDatabasePropertyValue(property, relationTitles = {}) {
+  if (!property) return '';
+
+  switch (property.type) {
+    case 'title':
+      return renderRichText(property.title);
+    case 'rich_text':
+      return renderRichText(property.rich_text);
+    case 'select':
+      return renderDatabaseTag(property.select);
+    case 'status':
+      return renderDatabaseTag(property.status);
+    case 'multi_select':
+      return (property.multi_select || []).map(renderDatabaseTag).join(' ');
+    case 'number':
+      return property.number !== null && property.number !== undefined ? String(property.number) : '';
+    case 'checkbox':
+      return `<input type="checkbox" ${property.checkbox ? 'checked' : ''} disabled>`;
+    case 'date':
+      return escapeHtml(formatNotionDate(property.date));
+    case 'url':
+      if (!property.url) return '';
+      // Solo se enlazan las URLs http(s); el resto se muestra como texto
+      return isHttpUrl(property.url)
+        ? `<a href="${escapeHtml(property.url)}" class="notion-text-link" target="_blank" rel="noopener noreferrer">${escapeHtml(property.url)}</a>`
+        : escapeHtml(property.url);
+    case 'email':
+      return property.email
+        ? `<a href="mailto:${escapeHtml(property.email)}" class="notion-text-link">${escapeHtml(property.email)}</a>`
+        : '';
+    case 'phone_number':
+      return escapeHtml(property.phone_number || '');
+    case 'people':
+      return escapeHtml((property.people || []).map(person => person.name || '').filter(Boolean).join(', '));
+    case 'relation':
+      return (property.relation || [])
+        .map(relation => relationTitles[relation.id] || '')
+        .filter(Boolean)
+        .join(', ');
+    case 'formula': {
+      const formula = property.formula || {};
+      if (formula.type === 'string') return escapeHtml(formula.string || '');
+      if (formula.type === 'number') return formula.number !== null && formula.number !== undefined ? String(formula.number) : '';
+      if (formula.type === 'boolean') return formula.boolean ? '✓' : '';
+      if (formula.type === 'date') return escapeHtml(formatNotionDate(formula.date));
+      return '';
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Obtener el título en texto plano de una fila (para el nombre de la página al abrirla)
+ */
+function getDatabaseRowPlainTitle(row) {
+  const properties = row?.properties || {};
+  for (const name in properties) {
+    if (properties[name].type === 'title') {
+      return (properties[name].title || []).map(text => text.plain_text || '').join('');
+    }
   }
-  
-  log('✅ Renderizado completo. HTML generado:', html.length, 'caracteres');
-  return html;
+  return '';
 }
 
-// Función para renderizar una tabla completa
-async function renderTable(tableBlock) {
+/**
+ * Atributos comunes para que una fila se pueda abrir como página dentro del vault
+ */
+function getDatabaseRowAttributes(row) {
+  const rowName = getDatabaseRowPlainTitle(row) || 'Untitled';
+  return `class="notion-database-row" data-page-url="${escapeHtml(row.url || '')}" data-page-name="${escapeHtml(rowName)}"`;
+}
+
+/**
+ * Renderizar una base de datos de Notion como tabla, lista o galería
+ * @param {object} databaseBlock - Bloque child_database
+ * @param {boolean} useCache - Si se permite usar el caché
+ * @returns {Promise<string>} - HTML
+ */
+async function renderDatabase(databaseBlock, useCache = true) {
   try {
-    // Obtener las filas de la tabla
-    const rows = await fetchNotionBlocks(tableBlock.id);
-    
-    if (!rows || rows.length === 0) {
+    const databaseId = databaseBlock.id;
+    const [database, rows] = await Promise.all([
+      fetchNotionDatabase(databaseId, useCache),
+      fetchNotionDatabaseRows(databaseId, useCache)
+    ]);
+
+    const databaseTitle = database?.title?.length
+      ? renderRichText(database.title)
+      : (databaseBlock.child_database?.title || '');
+    const titleHtml = databaseTitle ? `<div class="notion-database-title">${databaseTitle}</div>` : '';
+
+    if (!database || rows.length === 0) {
       return `
-        <div class="empty-state notion-table-placeholder">
-          <div class="empty-state-icon">📊</div>
-          <p class="empty-state-text">Tabla vacía</p>
+        <div class="notion-database">
+          ${titleHtml}
+          <div class="empty-state notion-database-placeholder">
+            <div class="empty-state-icon">🗃️</div>
+            <p class="empty-state-text">${database ? 'Empty database' : 'Database not available'}</p>
+          </div>
         </div>
       `;
     }
-    
-    // Obtener el número de columnas de la primera fila
-    const firstRow = rows[0];
-    const columnCount = firstRow?.table_row?.cells?.length || 0;
-    
-    if (columnCount === 0) {
-      return `
-        <div class="empty-state notion-table-placeholder">
-          <div class="empty-state-icon">📊</div>
-          <p class="empty-state-text">Tabla sin columnas</p>
-        </div>
-      `;
+
+    const columns = getDatabaseColumns(database);
+    const relationTitles = await fetchDatabaseRelationTitles(rows, columns, useCache);
+    const layout = getDatabaseLayout(columns, rows);
+    const titleColumn = columns.find(column => column.type === 'title');
+    const otherColumns = columns.filter(column => column.type !== 'title');
+
+    log('🗃️ Renderizando base de datos:', databaseId, { layout, rows: rows.length, columns: columns.length });
+
+    let bodyHtml = '';
+
+    if (layout === 'gallery') {
+      bodyHtml = '<div class="notion-database-gallery">';
+      rows.forEach(row => {
+        const coverUrl = isHttpUrl(getDatabaseRowCoverUrl(row)) ? escapeHtml(getDatabaseRowCoverUrl(row)) : null;
+        const rowTitle = titleColumn ? renderDatabasePropertyValue(row.properties?.[titleColumn.name]) : '';
+        const propertiesHtml = otherColumns
+          .map(column => renderDatabasePropertyValue(row.properties?.[column.name], relationTitles))
+          .filter(value => value)
+          .map(value => `<div class="notion-database-card-property">${value}</div>`)
+          .join('');
+        bodyHtml += `
+          <div ${getDatabaseRowAttributes(row)}>
+            <div class="notion-database-card">
+              ${coverUrl ? `<img src="${coverUrl}" alt="" class="notion-database-card-cover" loading="lazy" />` : '<div class="notion-database-card-cover notion-database-card-cover--empty"></div>'}
+              <div class="notion-database-card-title">${rowTitle || 'Untitled'}</div>
+              ${propertiesHtml}
+            </div>
+          </div>
+        `;
+      });
+      bodyHtml += '</div>';
+    } else if (layout === 'list') {
+      bodyHtml = '<div class="notion-database-list">';
+      rows.forEach(row => {
+        const rowTitle = titleColumn ? renderDatabasePropertyValue(row.properties?.[titleColumn.name]) : '';
+        const icon = escapeHtml(row.icon?.emoji || '📄');
+        bodyHtml += `<div ${getDatabaseRowAttributes(row)}><span class="notion-database-list-icon">${icon}</span>${rowTitle || 'Untitled'}</div>`;
+      });
+      bodyHtml += '</div>';
+    } else {
+      bodyHtml = '<div class="notion-database-table-wrapper"><table class="notion-table notion-database-table"><tr>';
+      columns.forEach(column => {
+        bodyHtml += `<th>${escapeHtml(column.name)}</th>`;
+      });
+      bodyHtml += '</tr>';
+      rows.forEach(row => {
+        bodyHtml += `<tr ${getDatabaseRowAttributes(row)}>`;
+        columns.forEach(column => {
+          const value = renderDatabasePropertyValue(row.properties?.[column.name], relationTitles);
+          bodyHtml += `<td>${value || (column.type === 'title' ? 'Untitled' : '&nbsp;')}</td>`;
+        });
+        bodyHtml += '</tr>';
+      });
+      bodyHtml += '</table></div>';
     }
-    
-    let tableHtml = '<table class="notion-table">';
-    
-    // Renderizar cada fila
-    rows.forEach((rowBlock, rowIndex) => {
-      if (rowBlock.type === 'table_row') {
-        const cells = rowBlock.table_row?.cells || [];
-        tableHtml += '<tr>';
-        
-        // Renderizar cada celda
-        for (let i = 0; i < columnCount; i++) {
-          const cell = cells[i] || [];
-          const cellContent = renderRichText(cell);
-          // La primera fila suele ser el encabezado
-          const isHeader = rowIndex === 0;
-          const tag = isHeader ? 'th' : 'td';
-          tableHtml += `<${tag}>${cellContent || '&nbsp;'}</${tag}>`;
-        }
-        
-        tableHtml += '</tr>';
-      }
-    });
-    
-    tableHtml += '</table>';
-    return tableHtml;
+
+    return `<div class="notion-database notion-database--${layout}">${titleHtml}${bodyHtml}${renderTruncatedNotice(rows)}</div>`;
   } catch (error) {
-    console.error('Error al renderizar tabla:', error);
+    console.error('Error al renderizar base de datos:', error);
     return `
-      <div class="empty-state notion-table-placeholder">
+      <div class="empty-state notion-database-placeholder">
         <div class="empty-state-icon">⚠️</div>
-        <p class="empty-state-text">Error loading table</p>
-        <p class="empty-state-hint">${error.message}</p>
+        <p class="empty-state-text">Error loading database</p>
+        <p class="empty-state-hint">${escapeHtml(error.message)}</p>
       </div>
     `;
   }
 }
 
+/**
+ * Hacer que las subpáginas, menciones de páginas y filas de bases de datos abran su página dentro del vault
+ * La página actual se guarda en la pila de navegación para poder volver con el breadcrumb
+ */
+function attachPageLinkHandlers() {
+  const links = document.querySelectorAll('.notion-page-link[data-page-url], .notion-database-row[data-page-url], .notion-mention--page[data-page-url]');
+  links.forEach(link => {
+    const pageUrl = link.getAttribute('data-page-url');
+    if (!pageUrl) return;
+    link.addEventListener('click', async (e) => {
+      // Dejar que los enlaces dentro de las celdas funcionen normalmente
+      if (e.target.closest('a')) return;
+      // Evitar que una mención dentro de una fila abra también la fila
+      e.stopPropagation();
+      const pageName = link.getAttribute('data-page-name') || 'Page';
+      await openSubPage(pageUrl, pageName);
+    });
+  });
+}
+
 // Función para mostrar imagen en modal usando Owlbear SDK
 // @param {boolean} showShareButton - Si true, muestra el botón de share (default: true)
 //                                    Pasar false cuando la imagen es recibida por broadcast
@@ -3329,8 +6623,7 @@ window.refreshImage = async function(button) {
     // Limpiar caché de esta página ANTES de recargar
     const pageId = extractNotionPageId(currentUrl);
     if (pageId) {
-      const cacheKey = CACHE_PREFIX + pageId;
-      localStorage.removeItem(cacheKey);
+      await deleteCacheEntry(CACHE_PREFIX + pageId);
       log('🗑️ Caché limpiado para recarga:', pageId);
     }
     
@@ -3467,6 +6760,13 @@ function setNotionDisplayMode(container, mode) {
   const contentDiv = container.querySelector('#notion-content');
   const iframe = container.querySelector('#notion-iframe');
   
+  // El outline pertenece a la página anterior
+  removePageOutline();
+  // La página de Notion mostrada (si la había) deja de estar en pantalla
+  if (contentDiv) {
+    delete contentDiv.dataset.pageId;
+  }
+  
   // Limpiar botones de compartir de Google Docs si existen
   const googleDocsShareButton = container.querySelector('.google-docs-share-button');
   if (googleDocsShareButton) {
@@ -3508,6 +6808,148 @@ function setNotionDisplayMode(container, mode) {
 }
 
 // Función para cargar y renderizar contenido de Notion desde la API
+/**
+ * Event listeners del contenido de Notion ya insertado en #notion-content
+ */
+async function attachNotionContentHandlers() {
+  // Agregar event listeners a las imágenes para abrirlas en modal
+  await attachImageClickHandlers();
+  // Botones de compartir de videos, audios, embeds y PDFs
+  attachMediaShareHandlers();
+  attachCodeCopyHandlers();
+  // Las subpáginas y filas de bases de datos se abren dentro del vault
+  attachPageLinkHandlers();
+  // Anclas de headings: índice, bloques breadcrumb y outline flotante
+  enhancePageNavigation();
+  await markPlayerSections();
+}
+
+/**
+ * Obtener bloques e información de una página y renderizarlos a HTML
+ * @param {string} url - URL de la página
+ * @param {string} pageId - ID de la página
+ * @param {boolean} useCache - false para pedir todo a la API (incluidos los hijos)
+ * @param {Array|null} blockTypes - Filtro de tipos de bloque
+ * @returns {Promise<string|null>} - HTML o null si la página no tiene bloques
+ */
+async function renderNotionPageHtml(url, pageId, useCache, blockTypes = null) {
+  // Obtener bloques y página info EN PARALELO para mejor rendimiento
+  const isNotionLink = url.includes('notion.so') || url.includes('notion.site');
+  const [blocks, pageInfo] = await Promise.all([
+    fetchNotionBlocks(pageId, useCache),
+    isNotionLink ? fetchNotionPageInfo(pageId, useCache) : Promise.resolve(null)
+  ]);
+  
+  if (!blocks || blocks.length === 0) {
+    return null;
+  }
+  
+  // Extraer cover y título de pageInfo
+  let pageCover = null;
+  let pageTitle = null;
+  if (pageInfo) {
+    if (pageInfo.cover) {
+      pageCover = pageInfo.cover;
+    }
+    pageTitle = extractPageTitle(pageInfo);
+  }
+  
+  // El filtrado por blockTypes se hace dentro de renderBlocks para mantener bloques con hijos
+  // Los bloques de primer nivel se agrupan en secciones que el GM puede compartir por separado
+  const blocksHtml = await renderPageSections(blocks, blockTypes, useCache);
+  
+  // Agregar el cover y título al inicio si existen
+  return renderPageCoverAndTitle(pageCover, pageTitle) + blocksHtml + renderTruncatedNotice(blocks);
+}
+
+// Última comprobación de frescura por página (evita repetir llamadas al navegar atrás y adelante)
+const pageFreshnessCheckedAt = {};
+
+/**
+ * Comprobar si la página cambió en Notion desde que se cacheó
+ * Notion actualiza el last_edited_time de la página al editar cualquier bloque, también los anidados
+ * @returns {Promise<string|null>} - Nuevo last_edited_time si la caché está obsoleta, null si no
+ */
+async function isCachedPageStale(pageId) {
+  const lastEditedTime = await fetchPageLastEditedTime(pageId);
+  if (!lastEditedTime) {
+    return null;
+  }
+  
+  const cachedPageInfo = await getCachedPageInfo(pageId);
+  if (cachedPageInfo?.last_edited_time) {
+    return cachedPageInfo.last_edited_time !== lastEditedTime ? lastEditedTime : null;
+  }
+  
+  // Sin información de página en caché: comparar con la fecha de guardado de los bloques
+  const cachedBlocksEntry = await getCacheEntry(CACHE_PREFIX + pageId);
+  if (cachedBlocksEntry?.savedAt && new Date(lastEditedTime) > new Date(cachedBlocksEntry.savedAt)) {
+    return lastEditedTime;
+  }
+  return null;
+}
+
+/**
+ * Re-renderizar en segundo plano la página mostrada si cambió en Notion
+ * Sustituye el contenido sin pasar por "Loading..." y avisa a los jugadores que la tengan abierta
+ */
+async function refreshPageIfStale(url, pageId, container, blockTypes = null) {
+  if (!getUserToken()) return;
+  
+  const now = Date.now();
+  if (pageFreshnessCheckedAt[pageId] && now - pageFreshnessCheckedAt[pageId] < PAGE_FRESHNESS_CHECK_INTERVAL) {
+    return;
+  }
+  pageFreshnessCheckedAt[pageId] = now;
+  
+  try {
+    const newLastEditedTime = await isCachedPageStale(pageId);
+    if (!newLastEditedTime) {
+      log('✅ Caché al día para:', pageId);
+      return;
+    }
+    
+    log('🔄 La página cambió en Notion (', newLastEditedTime, '), actualizando en segundo plano:', pageId);
+    // Sin caché: se vuelven a pedir también los hijos anidados
+    const html = await renderNotionPageHtml(url, pageId, false, blockTypes);
+    
+    const contentDiv = container.querySelector('#notion-content');
+    // El usuario pudo navegar a otra página mientras tanto
+    if (!html || !contentDiv || contentDiv.dataset.pageId !== pageId) {
+      return;
+    }
+    
+    const scrollTop = container.scrollTop;
+    contentDiv.innerHTML = await getUserRole() ? html : filterPlayerSectionsForPage(pageId, html);
+    await attachNotionContentHandlers();
+    container.scrollTop = scrollTop;
+    
+    await saveHtmlToLocalCache(pageId, html);
+    OBR.broadcast.sendMessage(BROADCAST_CHANNEL_CONTENT_UPDATED, { pageId });
+  } catch (e) {
+    console.warn('No se pudo comprobar si la página cambió:', e);
+  }
+}
+
+/**
+ * Players: progreso de la página que llega del GM en varios fragmentos
+ */
+function showContentTransferProgress(contentDiv, received, total) {
+  const loading = contentDiv.querySelector('.notion-loading');
+  if (!loading || total <= 1) return;
+  
+  let progress = loading.querySelector('.notion-transfer-progress');
+  if (!progress) {
+    progress = document.createElement('div');
+    progress.className = 'notion-transfer-progress';
+    progress.innerHTML = '<div class="notion-transfer-progress__bar"></div>';
+    loading.appendChild(progress);
+  }
+  const percent = Math.round(received / total * 100);
+  progress.querySelector('.notion-transfer-progress__bar').style.width = `${percent}%`;
+  loading.querySelector('.empty-state-text').textContent = `Receiving content from the GM... ${percent}%`;
+}
+
 async function loadNotionContent(url, container, forceRefresh = false, blockTypes = null) {
   const contentDiv = container.querySelector('#notion-content');
   
@@ -3549,15 +6991,28 @@ async function loadNotionContent(url, container, forceRefresh = false, blockType
     if (shouldUseBroadcast) {
       const role = isCoGMGlobal ? 'Co-GM' : 'Player';
       log(`👤 ${role} sin token, solicitando HTML al GM para:`, pageId);
-      const cachedHtml = await requestHtmlFromGM(pageId);
+      const cachedHtml = await requestHtmlFromGM(pageId, (received, total) => {
+        showContentTransferProgress(contentDiv, received, total);
+      });
       if (cachedHtml) {
         log('✅ Usando HTML recibido del GM');
         contentDiv.innerHTML = cachedHtml;
-        await attachImageClickHandlers();
+        contentDiv.dataset.pageId = pageId;
+        await attachNotionContentHandlers();
         return;
       }
       log('⚠️ El GM no tiene el contenido disponible');
       
+      // Sin respuesta del GM: usar la copia que publicó para leer entre sesiones
+      const publishedPage = await fetchPublishedPage(pageId);
+      if (publishedPage?.html) {
+        const publishedDate = new Date(publishedPage.publishedAt).toLocaleDateString();
+        contentDiv.innerHTML = `<div class="notion-snapshot-notice">📦 Offline copy published by the GM on ${escapeHtml(publishedDate)}</div>${publishedPage.html}`;
+        contentDiv.dataset.pageId = pageId;
+        await attachNotionContentHandlers();
+        return;
+      }
+      
       // Mensaje diferente para Co-GM vs Player
       const waitingMessage = isCoGMGlobal
         ? `<div class="notion-waiting notion-waiting--gm-offline">
@@ -3594,16 +7049,9 @@ async function loadNotionContent(url, container, forceRefresh = false, blockType
     log('Obteniendo bloques para página:', pageId, forceRefresh ? '(recarga forzada)' : '(con caché)');
     
     // Usar caché a menos que se fuerce la recarga
-    const useCache = !forceRefresh;
+    const html = await renderNotionPageHtml(url, pageId, !forceRefresh, blockTypes);
     
-    // Obtener bloques y página info EN PARALELO para mejor rendimiento
-    const isNotionLink = url.includes('notion.so') || url.includes('notion.site');
-    const [blocks, pageInfo] = await Promise.all([
-      fetchNotionBlocks(pageId, useCache),
-      isNotionLink ? fetchNotionPageInfo(pageId, useCache) : Promise.resolve(null)
-    ]);
-    
-    if (!blocks || blocks.length === 0) {
+    if (!html) {
       contentDiv.innerHTML = `
         <div class="empty-state notion-loading">
           <div class="empty-state-icon">📄</div>
@@ -3613,35 +7061,21 @@ async function loadNotionContent(url, container, forceRefresh = false, blockType
       return;
     }
     
-    // Extraer cover y título de pageInfo
-    let pageCover = null;
-    let pageTitle = null;
-    if (pageInfo) {
-      if (pageInfo.cover) {
-        pageCover = pageInfo.cover;
-      }
-      pageTitle = extractPageTitle(pageInfo);
-    }
-    
-    // Renderizar bloques (ahora es async)
-    // El filtrado por blockTypes se hace dentro de renderBlocks para mantener bloques con hijos
-    // Si es recarga forzada, no usar caché para los hijos
-    const useCacheForChildren = !forceRefresh;
-    const blocksHtml = await renderBlocks(blocks, blockTypes, 0, useCacheForChildren);
-    
-    // Agregar el cover y título al inicio si existen
-    const coverAndTitleHtml = renderPageCoverAndTitle(pageCover, pageTitle);
-    const html = coverAndTitleHtml + blocksHtml;
-    
-    contentDiv.innerHTML = html;
+    // Los players con token propio solo ven las secciones que el GM les comparte
+    contentDiv.innerHTML = isGM ? html : filterPlayerSectionsForPage(pageId, html);
+    contentDiv.dataset.pageId = pageId;
     
     // Si es GM, guardar el HTML renderizado en caché local para responder a jugadores
     if (isGM) {
       saveHtmlToLocalCache(pageId, html);
     }
     
-    // Agregar event listeners a las imágenes para abrirlas en modal
-    await attachImageClickHandlers();
+    await attachNotionContentHandlers();
+    
+    // Si se mostró la versión en caché, comprobar en segundo plano si la página cambió en Notion
+    if (!forceRefresh) {
+      refreshPageIfStale(url, pageId, container, blockTypes);
+    }
     
   } catch (error) {
     console.error('Error al cargar contenido de Notion:', error);
@@ -3669,11 +7103,215 @@ function showNotionBlockedMessage(container, url) {
     </div>
   `;
   
-  const openButton = container.querySelector('#open-notion-window');
-  if (openButton) {
-    openButton.addEventListener('click', () => {
-      window.open(url, '_blank', 'noopener,noreferrer');
-    });
+  const openButton = container.querySelector('#open-notion-window');
+  if (openButton) {
+    openButton.addEventListener('click', () => {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    });
+  }
+}
+
+// ============================================
+// SECCIONES VISIBLES PARA PLAYERS
+// ============================================
+// Los bloques de primer nivel de una página se renderizan agrupados en secciones (.notion-section).
+// Si la página tiene secciones marcadas (callout con 👁️/📢 en Notion o `playerBlocks` elegidos en el vault),
+// los players solo reciben esas secciones; si no tiene ninguna, la página se comparte entera
+
+const PLAYER_SECTION_CALLOUT_EMOJIS = ['👁', '📢'];
+const LIST_ITEM_BLOCK_TYPES = ['bulleted_list_item', 'numbered_list_item'];
+
+/**
+ * Comprueba si un bloque es un callout marcado como visible para players por su emoji
+ */
+function isPlayerSectionCallout(block) {
+  const emoji = block?.type === 'callout' ? block.callout?.icon?.emoji : null;
+  // Notion guarda algunos emojis con el selector de variación (U+FE0F)
+  return Boolean(emoji) && PLAYER_SECTION_CALLOUT_EMOJIS.includes(emoji.replace(/\uFE0F/g, ''));
+}
+
+/**
+ * Renderizar los bloques de primer nivel de una página, cada uno en su sección
+ * Los items de lista consecutivos van en la misma sección para no partir la lista
+ * @returns {Promise<string>}
+ */
+async function renderPageSections(blocks, blockTypes = null, useCache = true) {
+  const groups = [];
+  blocks.forEach(block => {
+    const previous = groups[groups.length - 1];
+    const continuesGroup = previous && (
+      (LIST_ITEM_BLOCK_TYPES.includes(block.type) && previous[previous.length - 1].type === block.type) ||
+      block.type === 'column'
+    );
+    if (continuesGroup) {
+      previous.push(block);
+    } else {
+      groups.push([block]);
+    }
+  });
+  
+  let html = '';
+  for (const group of groups) {
+    const sectionHtml = await renderBlocks(group, blockTypes, 0, useCache);
+    if (!sectionHtml.trim()) continue;
+    const calloutAttribute = isPlayerSectionCallout(group[0]) ? ' data-player-section="callout"' : '';
+    html += `<div class="notion-section" data-block-id="${group[0].id}"${calloutAttribute}>${sectionHtml}</div>`;
+  }
+  return html;
+}
+
+/**
+ * Dejar en el HTML de una página solo las secciones visibles para players
+ * @param {string} html - HTML renderizado de la página
+ * @param {Array<string>} playerBlocks - IDs de bloque elegidos por el GM
+ * @returns {string} - El mismo HTML si la página no tiene secciones marcadas
+ */
+function filterPlayerSections(html, playerBlocks = []) {
+  if (!html || !html.includes('notion-section')) return html;
+  
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const sections = [...doc.body.querySelectorAll(':scope > .notion-section')];
+  const isShared = section => section.dataset.playerSection === 'callout' ||
+    (playerBlocks || []).includes(section.dataset.blockId);
+  
+  if (!sections.some(isShared)) return html;
+  sections.filter(section => !isShared(section)).forEach(section => section.remove());
+  return doc.body.innerHTML;
+}
+
+/**
+ * Buscar una página del vault por su ID de Notion
+ * @returns {object|null}
+ */
+function findVaultPageById(config, pageId) {
+  const search = (categories) => {
+    for (const category of categories || []) {
+      const page = (category.pages || []).find(p => p.url && extractNotionPageId(p.url) === pageId);
+      if (page) return page;
+      const found = search(category.categories);
+      if (found) return found;
+    }
+    return null;
+  };
+  return search(config?.categories);
+}
+
+/**
+ * Comprueba si la página tiene secciones marcadas para players (en la configuración o por callouts)
+ * @param {object} config - Configuración del vault
+ * @param {string} pageId - ID de la página de Notion
+ * @param {Array} blocks - Bloques de primer nivel, si ya se tienen
+ */
+function hasPlayerSections(config, pageId, blocks = []) {
+  return Boolean(findVaultPageById(config, pageId)?.playerBlocks?.length) ||
+    blocks.some(isPlayerSectionCallout);
+}
+
+/**
+ * Players: quitar las secciones que no son para ellos de una página renderizada con su propio token
+ */
+function filterPlayerSectionsForPage(pageId, html) {
+  const page = findVaultPageById(pagesConfigCache, pageId) || findVaultPageById(personalVaultConfig, pageId);
+  return filterPlayerSections(html, page?.playerBlocks);
+}
+
+/**
+ * GM: resaltar en la página abierta las secciones que ven los players
+ */
+async function markPlayerSections() {
+  const contentDiv = document.getElementById('notion-content');
+  if (!contentDiv || !currentPageEntry || !(await getUserRole())) return;
+  
+  const config = getPagesJSON(OBR.room.id);
+  const playerBlocks = findPageInConfig(config, currentPageEntry.url, currentPageEntry.name)?.page.playerBlocks || [];
+  contentDiv.querySelectorAll(':scope > .notion-section').forEach(section => {
+    const isShared = section.dataset.playerSection === 'callout' || playerBlocks.includes(section.dataset.blockId);
+    section.classList.toggle('notion-section--player', isShared);
+  });
+}
+
+/**
+ * GM: elegir haciendo clic qué secciones de la página abierta ven los players
+ */
+function selectPlayerSections(url, name, roomId) {
+  const contentDiv = document.getElementById('notion-content');
+  if (!contentDiv || contentDiv.classList.contains('notion-content--selecting-sections')) return;
+  
+  if (!contentDiv.querySelector(':scope > .notion-section')) {
+    alert('This page has no sections to select. Reload the content and try again.');
+    return;
+  }
+  
+  const config = getPagesJSON(roomId);
+  const selected = new Set(findPageInConfig(config, url, name)?.page.playerBlocks || []);
+  
+  const bar = document.createElement('div');
+  bar.className = 'player-sections-bar';
+  bar.innerHTML = `
+    <span class="player-sections-bar__text">Click the sections players should see. With none selected, players see the whole page.</span>
+    <button class="btn btn--sm btn--primary player-sections-bar__done">Done</button>
+  `;
+  contentDiv.prepend(bar);
+  contentDiv.classList.add('notion-content--selecting-sections');
+  
+  // En captura para que los clics no abran imágenes ni enlaces mientras se selecciona
+  const onClick = (e) => {
+    const section = e.target.closest('.notion-section');
+    if (!section || section.parentElement !== contentDiv) return;
+    e.preventDefault();
+    e.stopPropagation();
+    
+    // Los callouts marcados en Notion se comparten siempre
+    if (section.dataset.playerSection === 'callout') return;
+    const blockId = section.dataset.blockId;
+    if (selected.has(blockId)) {
+      selected.delete(blockId);
+    } else {
+      selected.add(blockId);
+    }
+    section.classList.toggle('notion-section--player', selected.has(blockId));
+  };
+  contentDiv.addEventListener('click', onClick, true);
+  
+  bar.querySelector('.player-sections-bar__done').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    contentDiv.removeEventListener('click', onClick, true);
+    contentDiv.classList.remove('notion-content--selecting-sections');
+    bar.remove();
+    await savePlayerSections(url, name, [...selected], roomId);
+    await markPlayerSections();
+  }, { once: true });
+}
+
+/**
+ * Guardar las secciones elegidas y avisar a los players que tengan la página abierta
+ */
+async function savePlayerSections(url, name, playerBlocks, roomId) {
+  try {
+    const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || await getDefaultJSON()));
+    const pageInfo = findPageInConfig(config, url, name);
+    if (!pageInfo) {
+      alert('Error: Could not find page to update');
+      return;
+    }
+    
+    if (playerBlocks.length > 0) {
+      pageInfo.page.playerBlocks = playerBlocks;
+    } else {
+      delete pageInfo.page.playerBlocks;
+    }
+    await savePagesJSON(config, roomId);
+    
+    // El caché compartido tiene los bloques de toda la página: los players volverán a pedirla al GM
+    const pageId = extractNotionPageId(url);
+    if (pageId) {
+      await removeFromSharedCache(pageId);
+      OBR.broadcast.sendMessage(BROADCAST_CHANNEL_CONTENT_UPDATED, { pageId });
+    }
+    log('👁️ Secciones visibles para players guardadas:', name, '-', playerBlocks.length);
+  } catch (error) {
+    console.error('Error al guardar las secciones para players:', error);
+    alert('Error saving player sections: ' + error.message);
   }
 }
 
@@ -3684,6 +7322,329 @@ function showNotionBlockedMessage(container, url) {
 // Namespace para metadatos
 const METADATA_KEY = "com.dmscreen";
 
+// Etiquetas sugeridas para las páginas vinculadas a un token
+const TOKEN_LINK_LABELS = ['Statblock', 'Backstory', 'Loot', 'Portrait', 'Notes'];
+
+// Quién puede abrir una página vinculada: 'page' sigue la visibilidad de la página en el vault,
+// 'gm' solo el GM y 'players' es la página para players del token (visible aunque esté oculta en el vault)
+const TOKEN_LINK_ACCESS_OPTIONS = [
+  { label: 'Same as the page (players see it when it is visible)', value: 'page' },
+  { label: 'GM only', value: 'gm' },
+  { label: 'Player-facing page (always visible to players)', value: 'players' }
+];
+
+/**
+ * Obtener las páginas vinculadas guardadas en los metadatos de un token ({ url, name, icon, label, playerAccess })
+ * Solo están las que pueden abrir los players; la lista completa la guarda el GM en el vault (getTokenLinksForGM)
+ * Los tokens vinculados antes de admitir varias páginas solo tienen pageUrl/pageName
+ * @param {Object} metadata - Metadatos del item
+ * @returns {Array<Object>}
+ */
+function getTokenPageLinks(metadata) {
+  const links = metadata?.[`${METADATA_KEY}/pageLinks`];
+  if (Array.isArray(links)) {
+    return links
+      .filter(link => link && link.url)
+      .map(({ visibleToPlayers, ...link }) => ({
+        ...link,
+        // Los primeros vínculos múltiples guardaban solo visibleToPlayers
+        playerAccess: link.playerAccess || (visibleToPlayers === false ? 'gm' : 'page')
+      }));
+  }
+  const pageUrl = metadata?.[`${METADATA_KEY}/pageUrl`];
+  if (!pageUrl) return [];
+  return [{
+    url: pageUrl,
+    name: metadata[`${METADATA_KEY}/pageName`] || 'Linked page',
+    icon: metadata[`${METADATA_KEY}/pageIcon`] || null,
+    label: null,
+    playerAccess: 'page'
+  }];
+}
+
+/**
+ * GM: comprueba si los players pueden abrir una página vinculada
+ * Las páginas compartidas solo con algunos players no cuentan (el menú del token se vería para todos)
+ * @param {Object} link - Página vinculada
+ * @param {Object} config - Configuración completa del vault
+ */
+function isTokenLinkVisibleToPlayers(link, config) {
+  if (link.playerAccess === 'gm') return false;
+  if (link.playerAccess === 'players') return true;
+  return collectFeedPages(config).some(page => page.url === link.url && page.visibleToPlayers === true);
+}
+
+/**
+ * Player: comprueba si puede abrir una página vinculada (está en sus páginas o es la página para players)
+ * @param {Object} link - Página vinculada
+ */
+function isTokenLinkAvailableToPlayer(link) {
+  if (link.playerAccess === 'gm') return false;
+  if (link.playerAccess === 'players') return true;
+  return [...collectFeedPages(pagesConfigCache), ...collectFeedPages(personalVaultConfig)]
+    .some(page => page.url === link.url);
+}
+
+/**
+ * GM: todas las páginas vinculadas a un token, también las que solo ve el GM
+ * Se guardan en el vault (tokenLinks, por ID de item) para que los metadatos del token, que lee
+ * cualquiera, no revelen las páginas ocultas; los tokens vinculados antes solo las tienen en sus metadatos
+ * @param {Object} item - Item de la escena
+ * @param {Object} config - Configuración completa del vault
+ * @returns {Array<Object>}
+ */
+function getTokenLinksForGM(item, config = pagesConfigCache) {
+  const links = config?.tokenLinks?.[item.id];
+  return Array.isArray(links) ? links.map(link => ({ ...link })) : getTokenPageLinks(item.metadata);
+}
+
+/**
+ * Escribir en los metadatos del token solo las páginas vinculadas que pueden abrir los players
+ * (playerPageUrl es lo que comprueba el filtro del menú contextual de los players)
+ * @param {Object} metadata - Metadatos del item (se modifican en el sitio)
+ * @param {Array<Object>} links - Todas las páginas vinculadas
+ * @param {Object} config - Configuración completa del vault
+ */
+function setTokenPlayerLinks(metadata, links, config) {
+  // Claves de versiones anteriores, con la primera página aunque fuera solo para el GM
+  delete metadata[`${METADATA_KEY}/pageUrl`];
+  delete metadata[`${METADATA_KEY}/pageName`];
+  delete metadata[`${METADATA_KEY}/pageIcon`];
+
+  const playerLinks = links.filter(link => isTokenLinkVisibleToPlayers(link, config));
+  if (playerLinks.length === 0) {
+    delete metadata[`${METADATA_KEY}/pageLinks`];
+    delete metadata[`${METADATA_KEY}/playerPageUrl`];
+    return;
+  }
+  metadata[`${METADATA_KEY}/pageLinks`] = playerLinks;
+  metadata[`${METADATA_KEY}/playerPageUrl`] = playerLinks[0].url;
+}
+
+/**
+ * Comprueba si los metadatos del token ya reflejan sus páginas vinculadas
+ */
+function isTokenPlayerLinksCurrent(item, links, config) {
+  const expected = {};
+  setTokenPlayerLinks(expected, links, config);
+  const keys = ['pageLinks', 'playerPageUrl', 'pageUrl', 'pageName', 'pageIcon'].map(key => `${METADATA_KEY}/${key}`);
+  return keys.every(key => isSameJson(expected[key], item.metadata[key]));
+}
+
+/**
+ * GM: guardar las páginas vinculadas de varios tokens (la lista completa en el vault, las de players en el token)
+ * @param {Map<string, Array<Object>>} linksByItemId - ID del item → todas sus páginas vinculadas
+ */
+async function saveTokenPageLinks(linksByItemId) {
+  const roomId = currentRoomId || OBR.room.id;
+  const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || { categories: [] }));
+  const tokenLinks = { ...(config.tokenLinks || {}) };
+  linksByItemId.forEach((links, itemId) => {
+    if (links.length > 0) {
+      tokenLinks[itemId] = links;
+    } else {
+      delete tokenLinks[itemId];
+    }
+  });
+  if (Object.keys(tokenLinks).length > 0) {
+    config.tokenLinks = tokenLinks;
+  } else {
+    delete config.tokenLinks;
+  }
+
+  await OBR.scene.items.updateItems([...linksByItemId.keys()], (updateItems) => {
+    updateItems.forEach(item => setTokenPlayerLinks(item.metadata, linksByItemId.get(item.id), config));
+  });
+  await savePagesJSON(config, roomId);
+}
+
+/**
+ * Master GM: actualizar los vínculos que ven los players cuando cambia la visibilidad de las páginas
+ * @param {Object} config - Configuración completa del vault
+ */
+async function syncTokenPlayerLinks(config) {
+  try {
+    if (isCoGMGlobal || !config || !(await OBR.scene.isReady())) return;
+
+    const items = await OBR.scene.items.getItems(item =>
+      getTokenLinksForGM(item, config).length > 0 || getTokenPageLinks(item.metadata).length > 0
+    );
+    const outdated = items.filter(item => !isTokenPlayerLinksCurrent(item, getTokenLinksForGM(item, config), config));
+    if (outdated.length === 0) return;
+
+    await OBR.scene.items.updateItems(outdated.map(item => item.id), (updateItems) => {
+      updateItems.forEach(item => setTokenPlayerLinks(item.metadata, getTokenLinksForGM(item, config), config));
+    });
+    log(`🔗 Vínculos de ${outdated.length} token(s) actualizados para players`);
+  } catch (e) {
+    console.warn('⚠️ No se pudieron actualizar los vínculos de los tokens:', e);
+  }
+}
+
+/**
+ * Master GM: pasar al vault los vínculos que los tokens solo tienen en sus metadatos
+ * (tokens vinculados con versiones anteriores o duplicados en la escena)
+ * @returns {Promise<boolean>} - true si se guardó el vault (savePagesJSON ya sincroniza los tokens)
+ */
+async function migrateTokenPageLinks(config) {
+  if (!config || !(await OBR.scene.isReady())) return false;
+  const items = await OBR.scene.items.getItems(item =>
+    !Array.isArray(config.tokenLinks?.[item.id]) && getTokenPageLinks(item.metadata).length > 0
+  );
+  if (items.length === 0) return false;
+
+  const roomId = currentRoomId || OBR.room.id;
+  const migrated = JSON.parse(JSON.stringify(config));
+  migrated.tokenLinks = { ...(migrated.tokenLinks || {}) };
+  items.forEach(item => {
+    migrated.tokenLinks[item.id] = getTokenPageLinks(item.metadata);
+  });
+  log(`🔗 Vínculos de ${items.length} token(s) guardados en el vault`);
+  return savePagesJSON(migrated, roomId);
+}
+
+/**
+ * Master GM: sincronizar los vínculos de los tokens al cargar el vault y al abrir otra escena
+ */
+function setupTokenLinkSync() {
+  const sync = async () => {
+    try {
+      if (!(await migrateTokenPageLinks(pagesConfigCache))) {
+        await syncTokenPlayerLinks(pagesConfigCache);
+      }
+    } catch (e) {
+      console.warn('⚠️ No se pudieron sincronizar los vínculos de los tokens:', e);
+    }
+  };
+  sync();
+  OBR.scene.onReadyChange((ready) => {
+    if (ready) {
+      sync();
+    }
+  });
+}
+
+/**
+ * Texto de la pestaña de una página vinculada
+ */
+function getTokenLinkTitle(link) {
+  return link.label ? `${link.label}: ${link.name}` : link.name;
+}
+
+// Panel de páginas abierto desde un token ({ tokenName, links, isGM }); null si la página no se abrió desde un token
+let currentTokenPanel = null;
+
+/**
+ * Abrir las páginas vinculadas a un token: la primera se carga y el resto quedan como pestañas
+ * Los players solo ven las páginas que pueden abrir, empezando por la página para players
+ * @param {Object} item - Item de la escena
+ */
+async function openTokenKnowledgePanel(item) {
+  const isGM = await getUserRole();
+  const links = isGM
+    ? getTokenLinksForGM(item)
+    : getTokenPageLinks(item.metadata)
+        .filter(isTokenLinkAvailableToPlayer)
+        .sort((a, b) => (b.playerAccess === 'players') - (a.playerAccess === 'players'));
+
+  if (links.length === 0) {
+    alert('This token has no linked pages you can view.');
+    return;
+  }
+
+  const panel = { tokenName: item.name || 'Token', links, isGM };
+  trackPageViewedFromToken(links[0].name);
+  await loadPageContent(links[0].url, links[0].name, null, null, { tokenPanel: panel });
+}
+
+/**
+ * Renderizar las pestañas del panel del token (solo si tiene más de una página)
+ * @param {HTMLElement} notionContainer - Contenedor de la página
+ */
+function renderTokenPanelTabs(notionContainer) {
+  let tabs = document.getElementById('token-panel-tabs');
+
+  if (!currentTokenPanel || currentTokenPanel.links.length < 2) {
+    if (tabs) {
+      tabs.remove();
+    }
+    return;
+  }
+
+  if (!tabs) {
+    tabs = document.createElement('nav');
+    tabs.id = 'token-panel-tabs';
+    tabs.className = 'token-panel-tabs';
+  }
+  // Siempre encima del breadcrumb
+  notionContainer.insertBefore(tabs, notionContainer.firstChild);
+
+  tabs.innerHTML = '';
+  tabs.setAttribute('aria-label', `Pages linked to ${currentTokenPanel.tokenName}`);
+  // La pestaña activa sigue siendo la de la página raíz al navegar a subpáginas
+  const activeUrl = pageNavigationStack[0]?.url || currentPageEntry?.url;
+
+  // El GM ve qué pestañas no llegan a los players
+  const config = currentTokenPanel.isGM ? pagesConfigCache : null;
+
+  currentTokenPanel.links.forEach(link => {
+    const tab = document.createElement('button');
+    tab.className = 'token-panel-tabs__tab';
+    tab.textContent = link.label || link.name;
+    tab.title = getTokenLinkTitle(link);
+    if (config && !isTokenLinkVisibleToPlayers(link, config)) {
+      tab.classList.add('token-panel-tabs__tab--gm-only');
+      tab.title += ' (GM only)';
+    } else if (config && link.playerAccess === 'players') {
+      tab.title += ' (player-facing)';
+    }
+    if (link.url === activeUrl) {
+      tab.classList.add('token-panel-tabs__tab--active');
+    }
+    tab.addEventListener('click', () => {
+      if (link.url === currentPageEntry?.url) return;
+      trackPageViewedFromToken(link.name);
+      loadPageContent(link.url, link.name, null, null, { tokenPanel: currentTokenPanel });
+    });
+    tabs.appendChild(tab);
+  });
+}
+
+/**
+ * Elegir qué página desvincular de un token con varias páginas
+ * @param {Object} item - Item de la escena
+ * @param {Array<Object>} links - Páginas vinculadas
+ */
+function showUnlinkPageSelector(item, links) {
+  showModalForm(
+    'Unlink page',
+    [
+      {
+        name: 'linkIndex',
+        label: 'Page to unlink',
+        type: 'select',
+        options: [
+          ...links.map((link, index) => ({ label: getTokenLinkTitle(link), value: index.toString() })),
+          { label: 'All linked pages', value: 'all' }
+        ],
+        required: true
+      }
+    ],
+    async (data) => {
+      try {
+        const remaining = data.linkIndex === 'all'
+          ? []
+          : links.filter((link, index) => index !== parseInt(data.linkIndex));
+        await saveTokenPageLinks(new Map([[item.id, remaining]]));
+        log('🗑️ Página desvinculada del token:', item.name || item.id);
+      } catch (error) {
+        console.error('Error al desvincular página:', error);
+        alert('Error unlinking page: ' + error.message);
+      }
+    }
+  );
+}
+
 // Función para configurar menús contextuales en tokens
 async function setupTokenContextMenus(pagesConfig, roomId) {
   try {
@@ -3723,18 +7684,28 @@ async function setupTokenContextMenus(pagesConfig, roomId) {
       }
     });
     
-    // Menú: Ver página vinculada (todos, si tiene página)
+    // Menú: Ver páginas vinculadas (GM en todos los tokens, porque sus vínculos están en el vault;
+    // players solo si pueden abrir alguna)
     await OBR.contextMenu.create({
       id: `${METADATA_KEY}/view-page`,
       icons: [
+        {
+          icon: `${baseUrl}/img/icon-view-page.svg`,
+          label: "View linked page",
+          filter: {
+            every: [{ key: "layer", value: "CHARACTER" }],
+            roles: ["GM"]
+          }
+        },
         {
           icon: `${baseUrl}/img/icon-view-page.svg`,
           label: "View linked page",
           filter: {
             every: [
               { key: "layer", value: "CHARACTER" },
-              { key: ["metadata", `${METADATA_KEY}/pageUrl`], value: undefined, operator: "!=" }
-            ]
+              { key: ["metadata", `${METADATA_KEY}/playerPageUrl`], value: undefined, operator: "!=" }
+            ],
+            roles: ["PLAYER"]
           }
         }
       ],
@@ -3742,20 +7713,14 @@ async function setupTokenContextMenus(pagesConfig, roomId) {
         const item = context.items[0];
         if (!item) return;
         
-        const pageUrl = item.metadata[`${METADATA_KEY}/pageUrl`];
-        const pageName = item.metadata[`${METADATA_KEY}/pageName`] || "Linked page";
+        // Primero abrir el panel de la extensión
+        await OBR.action.open();
+        
+        // Pequeña espera para que el panel se abra
+        await new Promise(resolve => setTimeout(resolve, 100));
         
-        if (pageUrl) {
-          // Primero abrir el panel de la extensión
-          await OBR.action.open();
-          
-          // Pequeña espera para que el panel se abra
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-          // Abrir la página usando la función existente
-          trackPageViewedFromToken(pageName);
-          await loadPageContent(pageUrl, pageName);
-        }
+        // Abrir las páginas vinculadas (con pestañas si hay varias)
+        await openTokenKnowledgePanel(item);
       }
     });
     
@@ -3767,10 +7732,7 @@ async function setupTokenContextMenus(pagesConfig, roomId) {
           icon: `${baseUrl}/img/icon-trash.svg`,
           label: "Unlink page",
           filter: {
-            every: [
-              { key: "layer", value: "CHARACTER" },
-              { key: ["metadata", `${METADATA_KEY}/pageUrl`], value: undefined, operator: "!=" }
-            ],
+            every: [{ key: "layer", value: "CHARACTER" }],
             roles: ["GM"]
           }
         }
@@ -3779,12 +7741,20 @@ async function setupTokenContextMenus(pagesConfig, roomId) {
         const item = context.items[0];
         if (!item) return;
         
-        // Eliminar metadatos de página
-        await OBR.scene.items.updateItems([item], (items) => {
-          delete items[0].metadata[`${METADATA_KEY}/pageUrl`];
-          delete items[0].metadata[`${METADATA_KEY}/pageName`];
-          delete items[0].metadata[`${METADATA_KEY}/pageIcon`];
-        });
+        // Con varias páginas vinculadas, preguntar cuál desvincular
+        const links = getTokenLinksForGM(item);
+        if (links.length === 0) {
+          OBR.notification.show('This token has no linked pages', 'INFO').catch(() => {});
+          return;
+        }
+        if (links.length > 1) {
+          await OBR.action.open();
+          await new Promise(resolve => setTimeout(resolve, 100));
+          showUnlinkPageSelector(item, links);
+          return;
+        }
+        
+        await saveTokenPageLinks(new Map([[item.id, []]]));
         
         log('🗑️ Página desvinculada del token:', item.name || item.id);
       }
@@ -3886,6 +7856,22 @@ async function showPageSelectorForToken(itemIds, pagesConfig, roomId) {
         type: 'select',
         options: pageOptions,
         required: true
+      },
+      {
+        name: 'label',
+        label: 'Link type',
+        type: 'select',
+        options: [
+          { label: 'None (page name)', value: '' },
+          ...TOKEN_LINK_LABELS.map(label => ({ label, value: label }))
+        ]
+      },
+      {
+        name: 'playerAccess',
+        label: 'Players',
+        type: 'select',
+        options: TOKEN_LINK_ACCESS_OPTIONS,
+        value: 'page'
       }
     ],
     async (data) => {
@@ -3904,14 +7890,26 @@ async function showPageSelectorForToken(itemIds, pagesConfig, roomId) {
           return;
         }
         
-        // Actualizar metadatos de todos los tokens
-        await OBR.scene.items.updateItems(items, (updateItems) => {
-          updateItems.forEach(item => {
-            item.metadata[`${METADATA_KEY}/pageUrl`] = selectedPage.url;
-            item.metadata[`${METADATA_KEY}/pageName`] = selectedPage.name;
-            item.metadata[`${METADATA_KEY}/pageIcon`] = selectedPage.icon;
-          });
+        // Añadir la página a las vinculadas de cada token (si ya estaba, se actualiza)
+        const newLink = {
+          url: selectedPage.url,
+          name: selectedPage.name,
+          icon: selectedPage.icon,
+          label: data.label || null,
+          playerAccess: data.playerAccess || 'page'
+        };
+        const linksByItemId = new Map();
+        items.forEach(item => {
+          const links = getTokenLinksForGM(item);
+          const existingIndex = links.findIndex(link => link.url === newLink.url);
+          if (existingIndex >= 0) {
+            links[existingIndex] = newLink;
+          } else {
+            links.push(newLink);
+          }
+          linksByItemId.set(item.id, links);
         });
+        await saveTokenPageLinks(linksByItemId);
         
         // Registrar y mostrar mensaje de confirmación
         const tokenCount = items.length;
@@ -3931,11 +7929,262 @@ async function showPageSelectorForToken(itemIds, pagesConfig, roomId) {
         console.error('Error al vincular página:', error);
         alert('Error linking page: ' + error.message);
       }
-    },
-    () => {
-      // Cancelar - no hacer nada
+    },
+    () => {
+      // Cancelar - no hacer nada
+    }
+  );
+}
+
+// ============================================
+// AUTO-VINCULAR TOKENS DE LA ESCENA
+// ============================================
+// Propone vínculos entre tokens y páginas del vault comparando sus nombres.
+// El GM revisa las propuestas antes de escribir nada en los metadatos de los items.
+
+// Puntuación mínima (0-1) para proponer una página
+const AUTO_LINK_MIN_SCORE = 0.75;
+// Páginas candidatas que se ofrecen por token
+const AUTO_LINK_MAX_CANDIDATES = 3;
+
+/**
+ * Normalizar un nombre para compararlo: sin acentos, mayúsculas ni símbolos
+ * Con stripNumbering (nombres de tokens) también sin numeración final:
+ * "Goblin 3", "Goblin #3", "Goblin (3)" y "Goblin3" quedan como "goblin"
+ */
+function normalizeNameForMatch(name, stripNumbering = false) {
+  const normalized = (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  if (!stripNumbering) {
+    return normalized;
+  }
+  return normalized
+    .replace(/(\s+\d+)+$/, '')
+    .replace(/([a-z])\d+$/, '$1');
+}
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Parecido entre dos nombres ya normalizados (1 = iguales)
+ * Un nombre contenido entero en el otro ("goblin" en "goblin archer") cuenta como parecido
+ */
+function getNameMatchScore(tokenName, pageName) {
+  if (!tokenName || !pageName) return 0;
+  if (tokenName === pageName) return 1;
+
+  const editScore = 1 - getEditDistance(tokenName, pageName) / Math.max(tokenName.length, pageName.length);
+
+  const tokenWords = tokenName.split(' ');
+  const pageWords = pageName.split(' ');
+  const [shorter, longer] = tokenWords.length <= pageWords.length ? [tokenWords, pageWords] : [pageWords, tokenWords];
+  const contained = shorter.join('').length >= 3 && shorter.every(word => longer.includes(word));
+
+  return Math.max(editScore, contained ? 0.8 : 0);
+}
+
+/**
+ * Buscar páginas candidatas para los tokens de la escena
+ * Los tokens con el mismo nombre (sin numeración) se agrupan en una sola propuesta
+ * @returns {Array<{name, items, candidates: Array<{page, score}>}>}
+ */
+function findAutoLinkProposals(items, pages) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = normalizeNameForMatch(item.name, true);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, { name: item.name, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+  // Los grupos se muestran sin la numeración del primer token ("Goblin 3" → "Goblin")
+  groups.forEach(group => {
+    if (group.items.length > 1) {
+      group.name = group.name.replace(/[\s#(-]*\d+\)?\s*$/, '') || group.name;
+    }
+  });
+
+  const normalizedPages = pages.map(page => ({ page, key: normalizeNameForMatch(page.name) }));
+  const proposals = [];
+
+  groups.forEach((group, key) => {
+    const candidates = normalizedPages
+      .map(({ page, key: pageKey }) => ({ page, score: getNameMatchScore(key, pageKey) }))
+      .filter(({ score }) => score >= AUTO_LINK_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, AUTO_LINK_MAX_CANDIDATES);
+
+    // No proponer páginas que todos los tokens del grupo ya tienen vinculadas
+    const pending = candidates.filter(({ page }) =>
+      group.items.some(item => !getTokenLinksForGM(item).some(link => link.url === page.url))
+    );
+    if (pending.length > 0) {
+      proposals.push({ ...group, candidates: pending });
+    }
+  });
+
+  return proposals.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Buscar coincidencias entre los tokens de la escena y las páginas del vault y mostrarlas para revisar
+ * @param {string} roomId - ID de la room
+ */
+async function autoLinkSceneTokens(roomId) {
+  try {
+    if (!(await OBR.scene.isReady())) {
+      alert('Open a scene first.');
+      return;
+    }
+
+    const config = getPagesJSON(roomId) || getPagesJSONFromLocalStorage(roomId);
+    const pages = collectFeedPages(config);
+    if (pages.length === 0) {
+      alert('No pages configured. Add pages from the main panel.');
+      return;
+    }
+
+    const items = await OBR.scene.items.getItems(item => item.layer === 'CHARACTER' && !!item.name);
+    const proposals = findAutoLinkProposals(items, pages);
+    log(`🔗 Auto-vincular: ${items.length} tokens, ${proposals.length} propuestas`);
+
+    if (proposals.length === 0) {
+      alert('No token names match pages in the vault.');
+      return;
+    }
+
+    showAutoLinkReview(proposals);
+  } catch (error) {
+    console.error('Error al auto-vincular tokens:', error);
+    alert('Error matching tokens: ' + error.message);
+  }
+}
+
+/**
+ * Diálogo de revisión: una fila por grupo de tokens con la página propuesta
+ * @param {Array<Object>} proposals - Resultado de findAutoLinkProposals
+ */
+function showAutoLinkReview(proposals) {
+  const overlay = document.createElement('div');
+  overlay.id = 'auto-link-modal';
+  overlay.className = 'modal';
+
+  const modal = document.createElement('div');
+  modal.className = 'modal__content';
+
+  modal.innerHTML = `
+    <h2 class="modal__title">Auto-link scene</h2>
+    <div class="modal__body">
+      <p class="modal__text">Review the proposed links. Checked rows are added to the tokens' linked pages.</p>
+      <div class="auto-link-list">
+        ${proposals.map((proposal, index) => {
+          // Los tokens que ya tienen alguna página vinculada empiezan desmarcados
+          const alreadyLinked = proposal.items.some(item => getTokenLinksForGM(item).length > 0);
+          const tokenLabel = proposal.items.length === 1
+            ? escapeHtml(proposal.name)
+            : `${escapeHtml(proposal.name)} <span class="auto-link-row__count">×${proposal.items.length}</span>`;
+          return `
+            <div class="auto-link-row">
+              <label class="form__checkbox-label auto-link-row__token">
+                <input type="checkbox" class="checkbox" data-index="${index}" ${alreadyLinked ? '' : 'checked'} />
+                <span>${tokenLabel}</span>
+              </label>
+              <select class="select auto-link-row__page" data-index="${index}">
+                ${proposal.candidates.map(({ page, score }, candidateIndex) => `
+                  <option value="${candidateIndex}">${escapeHtml(page.name)} (${Math.round(score * 100)}%)</option>
+                `).join('')}
+              </select>
+            </div>
+          `;
+        }).join('')}
+      </div>
+      <label class="form__label" for="auto-link-access">Players</label>
+      <select id="auto-link-access" class="select">
+        ${TOKEN_LINK_ACCESS_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form__actions">
+      <button type="button" id="auto-link-cancel" class="btn btn--ghost btn--flex">Cancel</button>
+      <button type="button" id="auto-link-apply" class="btn btn--primary btn--flex">Link pages</button>
+    </div>
+  `;
+
+  overlay.appendChild(modal);
+  document.body.appendChild(overlay);
+
+  const close = () => overlay.remove();
+  modal.querySelector('#auto-link-cancel').addEventListener('click', close);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  modal.querySelector('#auto-link-apply').addEventListener('click', async () => {
+    const playerAccess = modal.querySelector('#auto-link-access').value;
+    const selections = [];
+    modal.querySelectorAll('.auto-link-row input[type="checkbox"]:checked').forEach(checkbox => {
+      const index = parseInt(checkbox.dataset.index);
+      const select = modal.querySelector(`.auto-link-row__page[data-index="${index}"]`);
+      const { page } = proposals[index].candidates[parseInt(select.value)];
+      selections.push({ items: proposals[index].items, page });
+    });
+    close();
+
+    if (selections.length > 0) {
+      await applyAutoLinks(selections, playerAccess);
+    }
+  });
+}
+
+/**
+ * Añadir las páginas elegidas a los tokens (una sola escritura para todos los items)
+ * @param {Array<{items, page}>} selections - Grupos de tokens y la página a vincular
+ * @param {string} playerAccess - Acceso de los players a los nuevos vínculos (TOKEN_LINK_ACCESS_OPTIONS)
+ */
+async function applyAutoLinks(selections, playerAccess) {
+  const pageByItemId = new Map();
+  const linksByItemId = new Map();
+  selections.forEach(({ items, page }) => {
+    items.forEach(item => {
+      pageByItemId.set(item.id, page);
+      const links = getTokenLinksForGM(item);
+      if (!links.some(link => link.url === page.url)) {
+        links.push({ url: page.url, name: page.name, icon: page.icon || null, label: null, playerAccess });
+        linksByItemId.set(item.id, links);
+      }
+    });
+  });
+
+  try {
+    if (linksByItemId.size > 0) {
+      await saveTokenPageLinks(linksByItemId);
     }
-  );
+
+    pageByItemId.forEach((page, itemId) => trackPageLinkedToToken(page.name, itemId));
+    log(`✅ Auto-vincular: ${pageByItemId.size} token(s) vinculados`);
+    alert(`✅ Pages linked to ${pageByItemId.size} ${pageByItemId.size === 1 ? 'token' : 'tokens'}`);
+  } catch (error) {
+    console.error('Error al auto-vincular tokens:', error);
+    alert('Error linking pages: ' + error.message);
+  }
 }
 
 // Intentar inicializar Owlbear con manejo de errores
@@ -3963,6 +8212,15 @@ try {
         
         // Configurar el GM para responder a solicitudes de lista de páginas visibles
         setupGMVisiblePagesBroadcast();
+        
+        // Reescribir los fragmentos del vault al cambiar de escena (solo afecta al Master GM, que los genera)
+        setupChunkedMetadataSceneSync();
+        
+        // Responder con la configuración completa a quien detecte un salto de versión
+        setupVaultSnapshotResponder();
+        
+        // Aplicar los cambios propuestos por Co-GMs (solo afecta al Master GM)
+        setupCoGMEditReceiver();
       }
       
       // Obtener ID de la room actual
@@ -4047,7 +8305,7 @@ try {
         isCoGMGlobal = isCoGM;
         
         if (isCoGM) {
-          log('👁️ [Co-GM] Modo solo lectura - Master GM:', ownershipInfo.ownerInfo?.playerName);
+          log('👁️ [Co-GM] Los cambios se envían al Master GM:', ownershipInfo.ownerInfo?.playerName);
         } else if (!ownershipInfo.hasOwner || ownershipInfo.isStale) {
           // No hay owner o está inactivo → establecer como Master GM
           await setVaultOwner(roomId);
@@ -4058,6 +8316,17 @@ try {
           startOwnerHeartbeat(roomId);
           log('👑 [Master GM] Reconectado, heartbeat reiniciado');
         }
+        
+        // Traspasos del vault entre GMs y aviso inmediato si el Master GM sale de la room
+        setupVaultHandoffListeners(roomId);
+        setupOwnerPresenceWatcher();
+        
+        // Vault completo para Co-GMs, páginas compartidas con players concretos y revelaciones programadas (solo el Master GM)
+        if (!isCoGM) {
+          setupCoGMVaultResponder();
+          setupPersonalPagesResponder();
+          setupRevealScheduler(roomId);
+        }
       }
       
       // Verificar si estamos en modo modal (abierto desde el botón de abrir en modal)
@@ -4164,7 +8433,7 @@ try {
       // Si no hay configuración 'default' en localStorage Y no hay configuración para el roomId,
       // cargar desde la URL y guardarla. Solo el GM necesita cargar/guardar la configuración default.
       // Si ya hay configuración para el roomId, NO cargar el default (el usuario ya tiene su vault)
-      if (!defaultConfig && !currentRoomConfig && isGM) {
+      if (!defaultConfig && !currentRoomConfig && isGM && !isCoGM) {
         log('📥 [GM] No hay configuración, cargando "default" desde URL pública...');
         defaultConfig = await getDefaultJSON();
         if (defaultConfig && defaultConfig.categories && defaultConfig.categories.length > 0) {
@@ -4187,33 +8456,33 @@ try {
       
       // Prioridad diferenciada por rol:
       // - Master GM: localStorage > default (él genera la configuración completa)
-      // - Co-GM: metadata[FULL_CONFIG_KEY] (lee vault completo del Master GM, solo lectura)
+      // - Co-GM: snapshot cifrado del Master GM (recibe el vault completo y le propone cambios)
       // - Player: room metadata > broadcast (recibe configuración filtrada del GM)
       if (isCoGM) {
-        // Co-GM lee desde metadata (solo lectura)
-        log('👁️ [Co-GM] Cargando vault desde metadata (solo lectura)...');
+        // Co-GM pide el vault al Master GM por una sesión cifrada (sus cambios se envían al Master GM)
+        log('👁️ [Co-GM] Pidiendo el vault completo al Master GM...');
+        let message = null;
         try {
-          const metadata = await OBR.room.getMetadata();
-          const fullConfig = metadata ? metadata[FULL_CONFIG_KEY] : null;
-          
-          console.log('📥 [Co-GM] Metadata recibida:');
-          console.log('  - FULL_CONFIG_KEY exists:', !!fullConfig);
-          console.log('  - Categories:', fullConfig?.categories?.length || 0);
-          console.log('  - Pages total:', countPages(fullConfig || { categories: [] }));
-          
-          if (fullConfig && fullConfig.categories && fullConfig.categories.length > 0) {
-            pagesConfig = fullConfig;
-            const pageCount = countPages(fullConfig);
-            log('✅ [Co-GM] Vault cargado desde metadata:', pageCount, 'páginas');
-          } else {
-            // No hay vault completo, usar lo que haya disponible
-            log('⚠️ [Co-GM] No hay vault completo en metadata');
-            pagesConfig = roomMetadataConfig || { categories: [] };
-          }
+          const snapshotReceived = waitForCoGMVaultSnapshot();
+          setupCoGMVaultListener(roomId);
+          message = await snapshotReceived;
         } catch (e) {
           console.error('Error cargando vault para Co-GM:', e);
-          pagesConfig = { categories: [] };
         }
+        
+        if (message && message.snapshot) {
+          vaultSyncVersion = message.version;
+          // Copia editable: los cambios se proponen sobre la versión recibida del Master GM
+          pagesConfig = adoptSyncedVaultConfig(message.snapshot, roomId);
+          log('✅ [Co-GM] Vault recibido del Master GM:', countPages(message.snapshot), 'páginas');
+        } else {
+          // Sin respuesta: última copia guardada en solo lectura hasta que llegue el snapshot
+          const savedCopy = loadCoGMVaultCopy(roomId);
+          coGMVaultReadOnly = true;
+          pagesConfig = savedCopy ? savedCopy.config : { categories: [] };
+          log('⚠️ [Co-GM] No se recibió el vault completo del Master GM,', savedCopy ? `usando la copia del ${savedCopy.savedAt}` : 'sin copia guardada');
+        }
+        pagesConfigCache = pagesConfig;
       } else if (isGM) {
         // Master GM usa su localStorage (configuración completa)
         // Prioridad: roomId específico > default
@@ -4232,8 +8501,7 @@ try {
           pagesConfigCache = pagesConfig;
           const visibleOnlyConfig = filterVisiblePagesForMetadata(pagesConfig);
           try {
-            const compressed = compressJson(visibleOnlyConfig);
-            await OBR.room.setMetadata({ [ROOM_METADATA_KEY]: compressed });
+            await writeChunkedMetadata(ROOM_METADATA_KEY, visibleOnlyConfig);
             log('✅ Default sincronizado con room metadata para players');
           } catch (e) {
             console.warn('No se pudo sincronizar default con room metadata:', e);
@@ -4272,6 +8540,20 @@ try {
       
       // Configurar listener para sincronización en tiempo real
       setupRoomMetadataListener(roomId);
+      // Deltas del vault emitidos por el Master GM (visibles para players, cifrados para Co-GM)
+      setupVaultDeltaListener(roomId);
+      // Resultado de las propuestas de cambio (Co-GM)
+      setupCoGMEditResultListener(roomId);
+      // Páginas compartidas solo con este player
+      if (!isGM) {
+        pagesConfigCache = pagesConfig;
+        setupPersonalPagesListener(roomId);
+      }
+      // Vínculos de tokens (Master GM): con el vault ya cargado, incluso si viene de "default"
+      if (isGM && !isCoGM) {
+        pagesConfigCache = pagesConfig;
+        setupTokenLinkSync();
+      }
       
       // Iniciar detección de cambios de rol (promoción/revocación)
       lastKnownRole = isGM ? 'GM' : 'PLAYER';
@@ -4391,13 +8673,63 @@ try {
         });
       });
       
+      // Botón para lanzar un paso de revelación (todas sus páginas a la vez)
+      const revealButton = document.createElement("button");
+      revealButton.className = "icon-button";
+      const revealIcon = document.createElement("img");
+      revealIcon.src = "img/icon-eye-open.svg";
+      revealIcon.alt = "Reveal step";
+      revealIcon.className = "icon-button-icon";
+      revealButton.appendChild(revealIcon);
+      revealButton.title = "Reveal step";
+      revealButton.addEventListener("click", () => {
+        const rect = revealButton.getBoundingClientRect();
+        const steps = getPendingRevealSteps(getPagesJSON(roomId));
+        const menuItems = steps.length > 0
+          ? steps.map(({ step, count }) => ({
+              icon: '✨',
+              text: `${escapeHtml(step)} (${count} ${count === 1 ? 'page' : 'pages'})`,
+              action: async () => {
+                try {
+                  await revealScheduledPages(reveal => reveal.type === 'step' && reveal.step === step, step, roomId);
+                } catch (e) {
+                  console.error('Error al revelar el paso:', e);
+                  alert('❌ Could not reveal the pages. Please try again.');
+                }
+              }
+            }))
+          : [{ icon: '⏱️', text: 'No reveal steps. Use "Schedule reveal..." on a hidden page', action: () => {} }];
+        
+        revealButton.classList.add('context-menu-active');
+        createContextMenu(menuItems, { x: rect.right + 8, y: rect.bottom + 8 }, () => {
+          revealButton.classList.remove('context-menu-active');
+        });
+      });
+      
+      // Botón para vincular tokens de la escena a páginas por nombre
+      const autoLinkButton = document.createElement("button");
+      autoLinkButton.className = "icon-button";
+      const autoLinkIcon = document.createElement("img");
+      autoLinkIcon.src = "img/icon-link.svg";
+      autoLinkIcon.alt = "Auto-link scene";
+      autoLinkIcon.className = "icon-button-icon";
+      autoLinkButton.appendChild(autoLinkIcon);
+      autoLinkButton.title = "Auto-link scene";
+      autoLinkButton.addEventListener("click", () => autoLinkSceneTokens(roomId));
+      
       // Añadir botones según el rol
       // Settings y collapse para todos (GM y players)
       buttonContainer.appendChild(settingsButton);
       buttonContainer.appendChild(collapseAllButton);
       
-      // Solo añadir botón de agregar para Master GM (no para Co-GM ni Players)
-      if (isGM && !isCoGM) {
+      // Pasos de revelación y auto-vincular solo para GMs
+      if (isGM) {
+        buttonContainer.appendChild(revealButton);
+        buttonContainer.appendChild(autoLinkButton);
+      }
+      
+      // Solo añadir botón de agregar para GMs (el Co-GM propone los cambios al Master GM)
+      if (isGM) {
         buttonContainer.appendChild(addButton);
       }
       
@@ -4406,7 +8738,11 @@ try {
       
       // Mostrar banner para Co-GM
       if (isCoGM) {
-        showCoGMBanner(ownershipInfo);
+        if (coGMVaultReadOnly) {
+          showCoGMReadOnlyBanner(ownershipInfo, loadCoGMVaultCopy(roomId));
+        } else {
+          showCoGMBanner(ownershipInfo);
+        }
       }
 
       // Renderizar páginas agrupadas por carpetas
@@ -4415,6 +8751,15 @@ try {
       // Registrar menús contextuales para tokens
       await setupTokenContextMenus(pagesConfig, roomId);
       
+      // Listener para actualizar la página abierta cuando el GM la re-renderiza
+      setupContentUpdateListener();
+      
+      // Aviso de páginas recién reveladas
+      setupRevealNotificationListener();
+      
+      // Novedades para players: páginas que el GM actualiza en Notion
+      setupPlayerFeedListener();
+      
       // Listener para recibir imágenes compartidas por el GM
       OBR.broadcast.onMessage('com.dmscreen/showImage', async (event) => {
         const { url, caption } = event.data;
@@ -4502,6 +8847,20 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
     return; // No renderizar carpetas vacías o sin contenido visible para jugadores
   }
   
+  // GM: players con acceso a las páginas a través de esta carpeta o de sus carpetas padre
+  let inheritedAudience = '';
+  if (isGM) {
+    const config = getPagesJSON(roomId);
+    const folderAudiences = [];
+    for (let i = 2; i <= categoryPath.length; i += 2) {
+      const folder = config ? navigateConfigPath(config, categoryPath.slice(0, i)) : null;
+      if (folder && folder.visibleTo) {
+        folderAudiences.push(describeAudience(folder.visibleTo));
+      }
+    }
+    inheritedAudience = folderAudiences.filter(Boolean).join(', ');
+  }
+  
   // Verificar si la carpeta tiene contenido (páginas o subcarpetas)
   const hasPages = category.pages && category.pages.length > 0;
   const hasSubcategories = category.categories && category.categories.length > 0;
@@ -4593,9 +8952,8 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
   contextMenuButton.appendChild(contextMenuIcon);
   contextMenuButton.title = 'Menú';
   
-  // Mostrar botones al hover (solo para GMs)
-  // Mostrar botón contextual en hover (solo para Master GM, no para Co-GM)
-  if (isGM && !isCoGMGlobal) {
+  // Mostrar botón contextual en hover (solo para GMs)
+  if (isGM) {
     titleContainer.addEventListener('mouseenter', () => {
       if (!contextMenuButton.classList.contains('context-menu-active')) {
         contextMenuButton.style.opacity = '1';
@@ -4619,8 +8977,8 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
     });
   }
   
-  // Menú contextual para carpetas (solo para Master GM, no para Co-GM)
-  if (isGM && !isCoGMGlobal) {
+  // Menú contextual para carpetas (solo para GMs; los cambios del Co-GM se proponen al Master GM)
+  if (isGM) {
   contextMenuButton.addEventListener('click', async (e) => {
     e.stopPropagation();
     const rect = contextMenuButton.getBoundingClientRect();
@@ -4666,6 +9024,13 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
           await duplicateCategoryFromPageList(category, categoryPath, roomId);
         }
       },
+      { 
+        icon: 'img/icon-players.svg', 
+        text: 'Share with players...', 
+        action: async () => {
+          await editAudienceFromPageList(category, categoryPath, true, roomId);
+        }
+      },
       { separator: true },
     ];
     
@@ -4716,9 +9081,9 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
   
   titleContainer.appendChild(collapseButton);
   titleContainer.appendChild(categoryTitle);
-  // Solo mostrar botones de administración para Master GM (no para Co-GM)
-  if (isGM && !isCoGMGlobal) {
-    // Botón de visibilidad de carpetas deshabilitado (solo lectura para Co-GM)
+  // Solo mostrar botones de administración para GMs
+  if (isGM) {
+    // Botón de visibilidad de carpetas deshabilitado
     // titleContainer.appendChild(categoryVisibilityButton);
     titleContainer.appendChild(contextMenuButton);
   }
@@ -4778,6 +9143,9 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
       button.dataset.pageIndex = index;
       button.dataset.categoryPath = JSON.stringify(categoryPath);
       button.className = 'page-button';
+      if (!isGM && isPageUnread(page.url)) {
+        button.classList.add('page-button--unread');
+      }
       // background y border son dinámicos (CSS_VARS) - se mantienen inline
       button.style.background = CSS_VARS.bg;
       button.style.border = `1px solid ${CSS_VARS.border}`;
@@ -4791,11 +9159,20 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
       const pageVisibilityButton = document.createElement('button');
       pageVisibilityButton.className = 'page-visibility-button icon-button';
       const pageVisibilityIcon = document.createElement('img');
-      const isPageVisible = page.visibleToPlayers === true;
-      pageVisibilityIcon.src = isPageVisible ? 'img/icon-eye-open.svg' : 'img/icon-eye-close.svg';
+      // Compartida solo con algunos players (la página o su carpeta)
+      const pageAudience = describeAudience(page.visibleTo);
+      const isPageRestricted = page.visibleToPlayers !== true && (Boolean(pageAudience) || Boolean(inheritedAudience));
+      const isPageVisible = page.visibleToPlayers === true || isPageRestricted;
+      pageVisibilityIcon.src = isPageRestricted ? 'img/icon-players.svg' : (isPageVisible ? 'img/icon-eye-open.svg' : 'img/icon-eye-close.svg');
       pageVisibilityIcon.className = 'icon-button-icon';
       pageVisibilityButton.appendChild(pageVisibilityIcon);
-      pageVisibilityButton.title = isPageVisible ? 'Visible to players (click to hide)' : 'Hidden from players (click to show)';
+      pageVisibilityButton.title = isPageRestricted
+        ? `Visible to ${[pageAudience, inheritedAudience].filter(Boolean).join(', ')} (click to show to everyone)`
+        : (isPageVisible ? 'Visible to players (click to hide)' : 'Hidden from players (click to show)');
+      // Revelación programada: indicarla en el tooltip
+      if (page.reveal && page.visibleToPlayers !== true) {
+        pageVisibilityButton.title += ` • ${describeReveal(page.reveal)}`;
+      }
       // El botón de visibilidad siempre es visible si la página está compartida
       pageVisibilityButton.style.opacity = isPageVisible ? '1' : '0';
       
@@ -4815,8 +9192,8 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
       pageContextMenuButton.appendChild(pageContextMenuIcon);
       pageContextMenuButton.title = 'Menú';
       
-      // Mostrar botones al hover (solo para Master GM, no para Co-GM)
-      if (isGM && !isCoGMGlobal) {
+      // Mostrar botones al hover (solo para GMs)
+      if (isGM) {
         button.addEventListener('mouseenter', () => {
           if (!pageContextMenuButton.classList.contains('context-menu-active')) {
             pageContextMenuButton.style.opacity = '1';
@@ -4839,8 +9216,8 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
         });
       }
       
-      // Menú contextual para páginas (solo para Master GM, no Co-GM)
-      if (isGM && !isCoGMGlobal) {
+      // Menú contextual para páginas (solo para GMs)
+      if (isGM) {
       pageContextMenuButton.addEventListener('click', async (e) => {
         e.stopPropagation();
         const rect = pageContextMenuButton.getBoundingClientRect();
@@ -4871,8 +9248,26 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
               await duplicatePageFromPageList(page, pageCategoryPath, roomId);
             }
           },
+          { 
+            icon: 'img/icon-players.svg', 
+            text: 'Share with players...', 
+            action: async () => {
+              await editAudienceFromPageList(page, pageCategoryPath, false, roomId);
+            }
+          },
         ];
         
+        // Programar la revelación (solo páginas ocultas)
+        if (page.visibleToPlayers !== true) {
+          menuItems.push({
+            icon: '⏱️',
+            text: 'Schedule reveal...',
+            action: async () => {
+              await scheduleRevealFromPageList(page, pageCategoryPath, roomId);
+            }
+          });
+        }
+        
         // Agregar opción de recargar si es Notion
         const isNotionPage = isNotionUrl(page.url);
         if (isNotionPage) {
@@ -4887,8 +9282,7 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
               // Limpiar caché de esta página ANTES de recargar
               const pageId = extractNotionPageId(page.url);
               if (pageId) {
-                const cacheKey = CACHE_PREFIX + pageId;
-                localStorage.removeItem(cacheKey);
+                await deleteCacheEntry(CACHE_PREFIX + pageId);
                 log('🗑️ Caché limpiado para recarga:', pageId);
               }
               
@@ -4962,10 +9356,9 @@ function renderCategory(category, parentElement, level = 0, roomId = null, categ
           ${linkIconHtml}
         </div>
       `;
-      // Mostrar botón de visibilidad (share) solo para Master GM
-      // Co-GM no puede cambiar visibilidad (solo lectura)
-      // Mostrar menú contextual solo para Master GM
-      if (isGM && !isCoGMGlobal) {
+      // Mostrar botón de visibilidad (share) y menú contextual solo para GMs
+      // (los cambios del Co-GM se proponen al Master GM)
+      if (isGM) {
         button.appendChild(pageVisibilityButton);
         button.appendChild(pageContextMenuButton);
       }
@@ -5981,50 +10374,440 @@ function findPageInConfig(config, pageUrl, pageName) {
     return null;
   }
   
-  if (config && config.categories && Array.isArray(config.categories)) {
-    return searchRecursive(config.categories);
+  if (config && config.categories && Array.isArray(config.categories)) {
+    return searchRecursive(config.categories);
+  }
+  return null;
+}
+
+// Función para alternar la visibilidad de una página para jugadores
+async function togglePageVisibility(page, pageCategoryPath, roomId) {
+  try {
+    const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || await getDefaultJSON()));
+    const parent = navigateConfigPath(config, pageCategoryPath);
+    
+    if (!parent || !parent.pages) {
+      alert('Error: Could not find page to update');
+      return;
+    }
+    
+    const pageIndex = parent.pages.findIndex(p => p.name === page.name && p.url === page.url);
+    if (pageIndex === -1) {
+      alert('Error: Could not find page to update');
+      return;
+    }
+    
+    const currentPage = parent.pages[pageIndex];
+    // Alternar visibilidad
+    const newVisibility = currentPage.visibleToPlayers !== true;
+    if (currentPage.visibleToPlayers === true) {
+      delete currentPage.visibleToPlayers;
+    } else {
+      currentPage.visibleToPlayers = true;
+    }
+    
+    trackVisibilityToggle(currentPage.name, newVisibility);
+    await savePagesJSON(config, roomId);
+    
+    // Recargar la vista
+    const pageList = document.getElementById("page-list");
+    if (pageList) {
+      await renderPagesByCategories(config, pageList, roomId);
+    }
+  } catch (error) {
+    console.error('Error al alternar visibilidad de página:', error);
+    alert('Error toggling page visibility: ' + error.message);
+  }
+}
+
+// Función para elegir con qué players se comparte una página o carpeta (además de "todos")
+async function editAudienceFromPageList(item, itemPath, isFolder, roomId) {
+  const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || await getDefaultJSON()));
+  const playerGroups = config.playerGroups || [];
+  const audience = item.visibleTo || {};
+  
+  // Players conectados más los que ya tenían acceso (pueden no estar conectados ahora)
+  let connectedPlayers = [];
+  try {
+    connectedPlayers = (await OBR.party.getPlayers())
+      .filter(player => player.role !== 'GM')
+      .map(player => ({ id: player.id, name: player.name }));
+  } catch (e) {
+    console.warn('⚠️ No se pudo obtener la lista de players:', e);
+  }
+  const candidates = [];
+  [...(audience.players || []), ...connectedPlayers].forEach(player => {
+    if (!candidates.some(c => c.id === player.id)) {
+      candidates.push(player);
+    }
+  });
+  
+  const fields = [];
+  if (!isFolder) {
+    fields.push({ name: 'everyone', label: 'Everyone', type: 'checkbox', value: item.visibleToPlayers === true });
+  }
+  candidates.forEach((player, index) => {
+    fields.push({
+      name: `player-${index}`,
+      label: escapeHtml(player.name),
+      type: 'checkbox',
+      value: (audience.players || []).some(p => p.id === player.id)
+    });
+  });
+  playerGroups.forEach((group, index) => {
+    fields.push({
+      name: `group-${index}`,
+      label: `Group: ${escapeHtml(group.name)} (${(group.players || []).length} players)`,
+      type: 'checkbox',
+      value: (audience.groups || []).includes(group.name)
+    });
+  });
+  fields.push({
+    name: 'newGroup',
+    label: 'Save selected players as a group',
+    type: 'text',
+    placeholder: 'Group name (optional)'
+  });
+  
+  showModalForm(
+    isFolder ? `Share folder "${escapeHtml(item.name)}"` : `Share "${escapeHtml(item.name)}"`,
+    fields,
+    async (data) => {
+      const selectedPlayers = candidates.filter((_, index) => data[`player-${index}`]);
+      const selectedGroups = playerGroups.filter((_, index) => data[`group-${index}`]).map(group => group.name);
+      
+      // Nuevo grupo (o reemplazar los miembros de uno existente con el mismo nombre)
+      if (data.newGroup && selectedPlayers.length > 0) {
+        const groups = config.playerGroups || [];
+        const existing = groups.find(group => group.name === data.newGroup);
+        if (existing) {
+          existing.players = selectedPlayers;
+        } else {
+          groups.push({ name: data.newGroup, players: selectedPlayers });
+        }
+        config.playerGroups = groups;
+        if (!selectedGroups.includes(data.newGroup)) {
+          selectedGroups.push(data.newGroup);
+        }
+      }
+      
+      let target;
+      if (isFolder) {
+        target = navigateConfigPath(config, itemPath);
+      } else {
+        const parent = navigateConfigPath(config, itemPath);
+        target = parent && parent.pages ? parent.pages.find(p => p.name === item.name && p.url === item.url) : null;
+      }
+      if (!target) {
+        alert('Error: Could not find the item to update');
+        return;
+      }
+      
+      if (data.everyone) {
+        // Visible para todos: la lista de players ya no hace falta
+        target.visibleToPlayers = true;
+        delete target.visibleTo;
+      } else {
+        if (!isFolder) {
+          delete target.visibleToPlayers;
+        }
+        if (selectedPlayers.length > 0 || selectedGroups.length > 0) {
+          target.visibleTo = {
+            ...(selectedPlayers.length > 0 ? { players: selectedPlayers } : {}),
+            ...(selectedGroups.length > 0 ? { groups: selectedGroups } : {})
+          };
+        } else {
+          delete target.visibleTo;
+        }
+      }
+      
+      await savePagesJSON(config, roomId);
+      const pageList = document.getElementById("page-list");
+      if (pageList) {
+        await renderPagesByCategories(config, pageList, roomId);
+      }
+    }
+  );
+}
+
+/**
+ * Nombres de los players y grupos con acceso (para el tooltip)
+ */
+function describeAudience(visibleTo) {
+  return [
+    ...(visibleTo?.players || []).map(player => player.name),
+    ...(visibleTo?.groups || [])
+  ].join(', ');
+}
+
+// ============================================
+// REVELACIONES PROGRAMADAS
+// ============================================
+// Una página oculta puede llevar `reveal`: { type: 'token', tokenId, tokenName } (al mostrar el token en la escena),
+// { type: 'timer', at } (a partir de una hora) o { type: 'step', step } (paso de revelación que lanza el GM).
+// El Master GM revela todas las páginas que tocan en un único guardado y avisa a los players
+
+const BROADCAST_CHANNEL_PAGES_REVEALED = 'com.dmscreen/pagesRevealed';
+const REVEAL_TIMER_CHECK_INTERVAL = 15000; // 15 segundos
+
+let revealTimerInterval = null;
+
+/**
+ * Páginas con una revelación programada
+ * @returns {Array<{page, reveal}>}
+ */
+function collectScheduledReveals(config) {
+  const reveals = [];
+  const walk = (category, hasAudience) => {
+    const restricted = hasAudience || Boolean(category.visibleTo);
+    (category.pages || []).forEach(page => {
+      if (page && page.reveal) {
+        reveals.push({ page, reveal: page.reveal, restricted: restricted || Boolean(page.visibleTo) });
+      }
+    });
+    (category.categories || []).forEach(subCategory => walk(subCategory, restricted));
+  };
+  (config?.categories || []).forEach(category => walk(category, false));
+  return reveals;
+}
+
+/**
+ * Comprueba si una página o alguna de sus carpetas está compartida solo con algunos players
+ * @param {Array} categoryPath - Ruta de la carpeta de la página ('categories', índice, ...)
+ */
+function hasRestrictedAudience(config, categoryPath, page) {
+  if (page.visibleTo) return true;
+  for (let i = 2; i <= categoryPath.length; i += 2) {
+    if (navigateConfigPath(config, categoryPath.slice(0, i))?.visibleTo) return true;
+  }
+  return false;
+}
+
+/**
+ * Pasos de revelación pendientes con su número de páginas
+ * @returns {Array<{step, count}>}
+ */
+function getPendingRevealSteps(config) {
+  const steps = new Map();
+  collectScheduledReveals(config)
+    .filter(({ reveal }) => reveal.type === 'step' && reveal.step)
+    .forEach(({ reveal }) => steps.set(reveal.step, (steps.get(reveal.step) || 0) + 1));
+  return [...steps.entries()].map(([step, count]) => ({ step, count }));
+}
+
+/**
+ * Texto legible de una revelación programada
+ */
+function describeReveal(reveal) {
+  if (!reveal) return '';
+  switch (reveal.type) {
+    case 'token': return `Reveals when "${reveal.tokenName || 'token'}" is shown`;
+    case 'timer': return `Reveals at ${new Date(reveal.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    case 'step': return `Reveals with step "${reveal.step}"`;
+    default: return '';
+  }
+}
+
+/**
+ * Hacer visibles a la vez todas las páginas cuya revelación cumpla la condición
+ * @param {function} matches - (reveal) => boolean
+ * @param {string} label - Motivo que ven los players ("Act 2 clues", "Timed reveal"...)
+ * @returns {Promise<number>} - Páginas reveladas
+ */
+async function revealScheduledPages(matches, label, roomId) {
+  const currentConfig = getPagesJSON(roomId);
+  if (!collectScheduledReveals(currentConfig).some(({ reveal }) => matches(reveal))) {
+    return 0;
+  }
+  
+  const config = JSON.parse(JSON.stringify(currentConfig));
+  const revealed = collectScheduledReveals(config)
+    .filter(({ reveal }) => matches(reveal))
+    .map(({ page, restricted }) => {
+      delete page.reveal;
+      // Compartida con algunos players después de programarla: no se hace pública para toda la mesa
+      if (restricted) {
+        logWarn('⚠️ Revelación cancelada, la página está compartida solo con algunos players:', page.name);
+        return null;
+      }
+      page.visibleToPlayers = true;
+      return page.name;
+    })
+    .filter(Boolean);
+  
+  // Un único guardado: los players reciben todas las páginas en el mismo delta
+  await savePagesJSON(config, roomId);
+  const pageList = document.getElementById("page-list");
+  if (pageList) {
+    await renderPagesByCategories(config, pageList, roomId);
+  }
+  log(`✨ Revelación "${label}": ${revealed.length} páginas`);
+  if (revealed.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await OBR.broadcast.sendMessage(BROADCAST_CHANNEL_PAGES_REVEALED, { label, pages: revealed });
+  } catch (e) {
+    console.warn('⚠️ No se pudo avisar de la revelación:', e);
+  }
+  return revealed.length;
+}
+
+/**
+ * Master GM: revelar las páginas programadas por tiempo y al mostrar tokens
+ */
+function setupRevealScheduler(roomId) {
+  if (revealTimerInterval) {
+    clearInterval(revealTimerInterval);
+  }
+  const revealDue = () => {
+    if (isCoGMGlobal) return;
+    revealScheduledPages(reveal => reveal.type === 'timer' && reveal.at <= Date.now(), 'Timed reveal', roomId)
+      .catch(e => console.warn('⚠️ No se pudieron revelar las páginas programadas:', e));
+  };
+  revealTimerInterval = setInterval(revealDue, REVEAL_TIMER_CHECK_INTERVAL);
+  // Las que vencieron con el GM desconectado se revelan al volver
+  revealDue();
+  
+  OBR.scene.items.onChange((items) => {
+    if (isCoGMGlobal) return;
+    const shownItems = new Map(items.filter(item => item.visible).map(item => [item.id, item.name]));
+    revealScheduledPages(
+      reveal => reveal.type === 'token' && shownItems.has(reveal.tokenId),
+      'Token revealed',
+      roomId
+    ).catch(e => console.warn('⚠️ No se pudieron revelar las páginas de los tokens:', e));
+  });
+}
+
+/**
+ * Co-GM: avisar de las páginas recién reveladas
+ */
+function setupRevealNotificationListener() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_PAGES_REVEALED, async (event) => {
+    const data = event.data;
+    if (!data || !Array.isArray(data.pages) || data.pages.length === 0) return;
+    // Los players ya reciben la notificación de novedades (updatePlayerFeed)
+    if (!(await getUserRole())) return;
+    showVaultActivityToast('✨', data.label || 'New pages revealed', data.pages.join(' • '));
+  });
+}
+
+// Función para programar la revelación de una página oculta
+async function scheduleRevealFromPageList(page, pageCategoryPath, roomId) {
+  if (page.visibleToPlayers === true) {
+    alert('This page is already visible to players.');
+    return;
+  }
+  
+  const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || await getDefaultJSON()));
+  // Sus players ya la ven: revelarla la haría visible para toda la mesa
+  if (hasRestrictedAudience(config, pageCategoryPath, page)) {
+    alert('This page is shared with specific players. Revealing it would show it to everyone, so it can\'t be scheduled.');
+    return;
   }
-  return null;
-}
-
-// Función para alternar la visibilidad de una página para jugadores
-async function togglePageVisibility(page, pageCategoryPath, roomId) {
+  const reveal = page.reveal || {};
+  
+  // Tokens ocultos de la escena (más el ya elegido, aunque ahora esté visible)
+  let tokens = [];
   try {
-    const config = JSON.parse(JSON.stringify(getPagesJSON(roomId) || await getDefaultJSON()));
-    const parent = navigateConfigPath(config, pageCategoryPath);
-    
-    if (!parent || !parent.pages) {
-      alert('Error: Could not find page to update');
-      return;
-    }
-    
-    const pageIndex = parent.pages.findIndex(p => p.name === page.name && p.url === page.url);
-    if (pageIndex === -1) {
-      alert('Error: Could not find page to update');
-      return;
-    }
-    
-    const currentPage = parent.pages[pageIndex];
-    // Alternar visibilidad
-    const newVisibility = currentPage.visibleToPlayers !== true;
-    if (currentPage.visibleToPlayers === true) {
-      delete currentPage.visibleToPlayers;
-    } else {
-      currentPage.visibleToPlayers = true;
-    }
-    
-    trackVisibilityToggle(currentPage.name, newVisibility);
-    await savePagesJSON(config, roomId);
-    
-    // Recargar la vista
-    const pageList = document.getElementById("page-list");
-    if (pageList) {
-      await renderPagesByCategories(config, pageList, roomId);
+    if (await OBR.scene.isReady()) {
+      tokens = await OBR.scene.items.getItems(item =>
+        ['CHARACTER', 'MOUNT', 'PROP'].includes(item.layer) && (item.visible === false || item.id === reveal.tokenId)
+      );
     }
-  } catch (error) {
-    console.error('Error al alternar visibilidad de página:', error);
-    alert('Error toggling page visibility: ' + error.message);
+  } catch (e) {
+    console.warn('⚠️ No se pudieron leer los tokens de la escena:', e);
   }
+  
+  const steps = getPendingRevealSteps(config).map(({ step }) => step);
+  const minutesLeft = reveal.type === 'timer' ? Math.max(1, Math.ceil((reveal.at - Date.now()) / 60000)) : '';
+  
+  showModalForm(
+    `Schedule reveal: ${escapeHtml(page.name)}`,
+    [
+      {
+        name: 'type',
+        label: 'Reveal',
+        type: 'select',
+        value: reveal.type || 'none',
+        options: [
+          { value: 'none', label: 'Manually (no schedule)' },
+          { value: 'token', label: 'When a hidden token is shown' },
+          { value: 'timer', label: 'After some minutes' },
+          { value: 'step', label: 'With a reveal step' }
+        ]
+      },
+      {
+        name: 'tokenId',
+        label: 'Token',
+        type: 'select',
+        value: reveal.tokenId || '',
+        options: [
+          { value: '', label: tokens.length > 0 ? 'Choose a hidden token' : 'No hidden tokens in this scene' },
+          ...tokens.map(token => ({ value: token.id, label: escapeHtml(token.name || 'Unnamed token') }))
+        ]
+      },
+      {
+        name: 'minutes',
+        label: 'Minutes',
+        type: 'number',
+        value: minutesLeft,
+        placeholder: '10'
+      },
+      {
+        name: 'step',
+        label: 'Reveal step name',
+        type: 'text',
+        value: reveal.step || '',
+        placeholder: 'Act 2 clues',
+        help: steps.length > 0 ? `Existing steps: ${steps.map(escapeHtml).join(', ')}` : 'Pages with the same step are revealed together'
+      }
+    ],
+    async (data) => {
+      let newReveal = null;
+      if (data.type === 'token') {
+        const token = tokens.find(t => t.id === data.tokenId);
+        if (!token) {
+          alert('Choose a hidden token.');
+          return;
+        }
+        newReveal = { type: 'token', tokenId: token.id, tokenName: token.name || 'Unnamed token' };
+      } else if (data.type === 'timer') {
+        const minutes = parseFloat(data.minutes);
+        if (!(minutes > 0)) {
+          alert('Enter the number of minutes.');
+          return;
+        }
+        newReveal = { type: 'timer', at: Date.now() + minutes * 60000 };
+      } else if (data.type === 'step') {
+        if (!data.step) {
+          alert('Enter the reveal step name.');
+          return;
+        }
+        newReveal = { type: 'step', step: data.step };
+      }
+      
+      const parent = navigateConfigPath(config, pageCategoryPath);
+      const target = parent && parent.pages ? parent.pages.find(p => p.name === page.name && p.url === page.url) : null;
+      if (!target) {
+        alert('Error: Could not find page to update');
+        return;
+      }
+      if (newReveal) {
+        target.reveal = newReveal;
+      } else {
+        delete target.reveal;
+      }
+      
+      await savePagesJSON(config, roomId);
+      const pageList = document.getElementById("page-list");
+      if (pageList) {
+        await renderPagesByCategories(config, pageList, roomId);
+      }
+    }
+  );
 }
 
 // Función para alternar la visibilidad de todas las páginas en una carpeta (recursivamente)
@@ -6268,6 +11051,250 @@ async function addPageToPageListSimple(categoryPath, roomId) {
   );
 }
 
+// ============================================
+// NOVEDADES PARA PLAYERS
+// ============================================
+// Cada player guarda en localStorage qué versión de cada página visible ya vio. Al recibir una
+// configuración nueva se comparan: las páginas nuevas o cambiadas quedan sin leer (badge en la lista
+// y sección "What's new") y se avisa con una notificación de OBR. La primera visita no avisa de nada
+
+const PLAYER_FEED_STORAGE_PREFIX = 'player-feed-';
+
+// Player: { storageKey, seen: { url → firma } | null, unread: { url → { name, status, at } } }
+let playerFeedState = null;
+// Player: páginas visibles de la última configuración recibida (url → página)
+let playerFeedPages = new Map();
+
+/**
+ * Estado de novedades del player para esta room (se carga una vez)
+ */
+function getPlayerFeedState(roomId) {
+  const storageKey = PLAYER_FEED_STORAGE_PREFIX + (roomId || 'default');
+  if (playerFeedState && playerFeedState.storageKey === storageKey) {
+    return playerFeedState;
+  }
+  
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey));
+  } catch (e) {
+    console.warn('⚠️ Estado de novedades corrupto, se empieza de cero:', e);
+  }
+  playerFeedState = { storageKey, seen: stored?.seen || null, unread: stored?.unread || {} };
+  return playerFeedState;
+}
+
+function savePlayerFeedState() {
+  if (!playerFeedState) return;
+  try {
+    const { storageKey, seen, unread } = playerFeedState;
+    localStorage.setItem(storageKey, JSON.stringify({ seen, unread }));
+  } catch (e) {
+    console.warn('⚠️ No se pudo guardar el estado de novedades:', e);
+  }
+}
+
+/**
+ * Lista plana de las páginas de una configuración
+ */
+function collectFeedPages(config) {
+  const pages = [];
+  const collect = (categories) => (categories || []).forEach(category => {
+    (category.pages || []).forEach(page => {
+      if (page.url) pages.push(page);
+    });
+    collect(category.categories);
+  });
+  collect(config?.categories);
+  return pages;
+}
+
+/**
+ * Firma de lo que el player ve de una página: si cambia, la página cuenta como actualizada
+ */
+function getFeedPageSignature(page) {
+  return JSON.stringify([page.name, page.icon || null, page.blockTypes || null, page.selector || null, page.playerBlocks || null]);
+}
+
+/**
+ * Comprueba si la página es la que el player tiene abierta (esa ya la está viendo)
+ */
+function isPageOpen(url) {
+  const notionContainer = document.getElementById('notion-container');
+  return Boolean(currentPageEntry && currentPageEntry.url === url &&
+    notionContainer && !notionContainer.classList.contains('hidden'));
+}
+
+/**
+ * Player: comparar la configuración visible con la ya vista y marcar las novedades
+ * @param {object} config - Configuración visible (incluidas las páginas personales)
+ * @param {string} roomId - ID de la room
+ */
+function updatePlayerFeed(config, roomId) {
+  const pages = collectFeedPages(config);
+  // También sin páginas visibles: así la primera que se revele ya cuenta como novedad
+  const state = getPlayerFeedState(roomId);
+  const isFirstVisit = !state.seen;
+  const seen = state.seen || {};
+  const changes = [];
+  
+  playerFeedPages = new Map(pages.map(page => [page.url, page]));
+  pages.forEach(page => {
+    const signature = getFeedPageSignature(page);
+    const previous = seen[page.url];
+    seen[page.url] = signature;
+    if (isFirstVisit || previous === signature || isPageOpen(page.url)) return;
+    
+    // Una página nueva que cambia antes de abrirse sigue siendo nueva
+    const status = previous === undefined || state.unread[page.url]?.status === 'new' ? 'new' : 'updated';
+    state.unread[page.url] = { name: page.name, status, at: Date.now() };
+    changes.push({ name: page.name, status });
+  });
+  
+  state.seen = seen;
+  savePlayerFeedState();
+  updatePlayerFeedBadge();
+  
+  if (changes.length > 0) {
+    log('🔔 Novedades en el vault:', changes.map(change => `${change.name} (${change.status})`).join(', '));
+    notifyPlayerFeedChanges(changes);
+  }
+}
+
+/**
+ * Notificación de OBR con las páginas nuevas o actualizadas
+ */
+function notifyPlayerFeedChanges(changes) {
+  let message;
+  if (changes.length === 1) {
+    message = changes[0].status === 'new' ? `New page: ${changes[0].name}` : `Updated page: ${changes[0].name}`;
+  } else {
+    message = `${changes.length} new or updated pages in the vault`;
+  }
+  OBR.notification.show(message, 'INFO').catch(e => {
+    console.warn('⚠️ No se pudo mostrar la notificación:', e);
+  });
+}
+
+/**
+ * Páginas sin leer que el player puede ver ahora, de la más reciente a la más antigua
+ */
+function getUnreadFeedPages() {
+  if (!playerFeedState) return [];
+  return Object.entries(playerFeedState.unread)
+    .filter(([url]) => playerFeedPages.has(url))
+    .map(([url, entry]) => ({ page: playerFeedPages.get(url), ...entry }))
+    .sort((a, b) => b.at - a.at);
+}
+
+function isPageUnread(url) {
+  return Boolean(playerFeedState?.unread[url]) && playerFeedPages.has(url);
+}
+
+/**
+ * Número de páginas sin leer en el icono de la extensión
+ */
+function updatePlayerFeedBadge() {
+  const count = getUnreadFeedPages().length;
+  OBR.action.setBadgeText(count > 0 ? String(count) : undefined).catch(() => {});
+}
+
+/**
+ * Player: quitar una página de las novedades al abrirla
+ */
+function markPlayerPageRead(url) {
+  if (!playerFeedState || !playerFeedState.unread[url]) return;
+  delete playerFeedState.unread[url];
+  savePlayerFeedState();
+  updatePlayerFeedBadge();
+  refreshPlayerFeedView();
+}
+
+function markAllPlayerPagesRead() {
+  if (!playerFeedState) return;
+  playerFeedState.unread = {};
+  savePlayerFeedState();
+  updatePlayerFeedBadge();
+  refreshPlayerFeedView();
+}
+
+/**
+ * Actualizar badges y la sección "What's new" sin volver a renderizar la lista
+ */
+function refreshPlayerFeedView() {
+  const pageList = document.getElementById('page-list');
+  if (!pageList) return;
+  pageList.querySelectorAll('.page-button').forEach(button => {
+    button.classList.toggle('page-button--unread', isPageUnread(button.dataset.url));
+  });
+  const section = pageList.querySelector('.whats-new');
+  if (section) {
+    section.remove();
+    renderWhatsNewSection(pageList);
+  }
+}
+
+/**
+ * Sección "What's new" al principio de la lista de páginas del player
+ */
+function renderWhatsNewSection(pageList) {
+  const unreadPages = getUnreadFeedPages();
+  if (unreadPages.length === 0) return;
+  
+  const section = document.createElement('div');
+  section.className = 'whats-new';
+  section.innerHTML = `
+    <div class="whats-new__header">
+      <span class="whats-new__title">What's new</span>
+      <button class="whats-new__clear">Mark all as read</button>
+    </div>
+    <div class="whats-new__list">
+      ${unreadPages.map(({ page, status }) => `
+        <button class="whats-new__item" data-url="${escapeHtml(page.url)}">
+          <span class="whats-new__name">${escapeHtml(page.name)}</span>
+          <span class="whats-new__status whats-new__status--${status}">${status === 'new' ? 'New' : 'Updated'}</span>
+        </button>
+      `).join('')}
+    </div>
+  `;
+  
+  section.querySelector('.whats-new__clear').addEventListener('click', () => markAllPlayerPagesRead());
+  section.querySelectorAll('.whats-new__item').forEach(item => {
+    item.addEventListener('click', async () => {
+      const page = playerFeedPages.get(item.dataset.url);
+      if (page) {
+        await loadPageContent(page.url, page.name, page.selector || '', page.blockTypes || null);
+      }
+    });
+  });
+  pageList.prepend(section);
+}
+
+/**
+ * Player: las páginas que el GM vuelve a renderizar (cambiaron en Notion) cuentan como actualizadas
+ */
+function setupPlayerFeedListener() {
+  OBR.broadcast.onMessage(BROADCAST_CHANNEL_CONTENT_UPDATED, async (event) => {
+    if (!event.data?.pageId || !playerFeedState || await getUserRole()) return;
+    
+    const page = [...playerFeedPages.values()].find(p => extractNotionPageId(p.url) === event.data.pageId);
+    if (!page || isPageOpen(page.url)) return;
+    
+    const wasUnread = Boolean(playerFeedState.unread[page.url]);
+    playerFeedState.unread[page.url] = {
+      name: page.name,
+      status: playerFeedState.unread[page.url]?.status === 'new' ? 'new' : 'updated',
+      at: Date.now()
+    };
+    savePlayerFeedState();
+    updatePlayerFeedBadge();
+    refreshPlayerFeedView();
+    if (!wasUnread) {
+      notifyPlayerFeedChanges([{ name: page.name, status: 'updated' }]);
+    }
+  });
+}
+
 // Función para renderizar páginas agrupadas por carpetas
 async function renderPagesByCategories(pagesConfig, pageList, roomId = null) {
   // Mostrar loading
@@ -6288,6 +11315,16 @@ async function renderPagesByCategories(pagesConfig, pageList, roomId = null) {
     isGM = true; // Por defecto asumir GM si hay error
   }
   
+  // Players: añadir las páginas que el GM compartió solo con ellos
+  if (!isGM && personalVaultConfig) {
+    pagesConfig = mergePersonalPages(pagesConfig, personalVaultConfig);
+  }
+  
+  // Players: marcar las páginas nuevas o actualizadas desde la última vez
+  if (!isGM) {
+    updatePlayerFeed(pagesConfig, roomId);
+  }
+  
   // Usar setTimeout para permitir que el DOM se actualice con el loading
   setTimeout(() => {
     pageList.innerHTML = '';
@@ -6363,22 +11400,21 @@ async function renderPagesByCategories(pagesConfig, pageList, roomId = null) {
           <p class="empty-state-hint">The GM hasn't shared any pages with you yet</p>
         `;
         pageList.appendChild(emptyState);
+      } else {
+        renderWhatsNewSection(pageList);
       }
     }
   }, 0); // Permitir que el DOM se actualice
 }
 
 // Función para limpiar el caché de una página específica
-function clearPageCache(url) {
+async function clearPageCache(url) {
   const pageId = extractNotionPageId(url);
   if (pageId) {
-    // Limpiar caché de bloques
-    const cacheKey = CACHE_PREFIX + pageId;
-    localStorage.removeItem(cacheKey);
-    
-    // Limpiar caché de información de página (incluyendo cover)
-    const pageInfoCacheKey = PAGE_INFO_CACHE_PREFIX + pageId;
-    localStorage.removeItem(pageInfoCacheKey);
+    // Limpiar caché de bloques, información de página (incluyendo cover) y HTML renderizado
+    await deleteCacheEntry(CACHE_PREFIX + pageId);
+    await deleteCacheEntry(PAGE_INFO_CACHE_PREFIX + pageId);
+    await deleteCacheEntry(HTML_CACHE_PREFIX + pageId);
     
     log('🗑️ Caché limpiado para página:', pageId);
     return true;
@@ -7461,8 +12497,296 @@ function hidePageHeaderButtons() {
   }
 }
 
+// ============================================
+// NAVEGACIÓN ENTRE SUBPÁGINAS (breadcrumb)
+// ============================================
+
+// Páginas padre visitadas antes de la actual ({ url, name, selector, blockTypes })
+let pageNavigationStack = [];
+// Página que se está mostrando actualmente
+let currentPageEntry = null;
+
+/**
+ * Abrir una subpágina guardando la página actual en la pila de navegación
+ * @param {string} url - URL de la subpágina
+ * @param {string} name - Nombre a mostrar
+ */
+async function openSubPage(url, name) {
+  if (currentPageEntry) {
+    pageNavigationStack.push(currentPageEntry);
+  }
+  await loadPageContent(url, name, null, null, { keepNavigationStack: true });
+}
+
+/**
+ * Volver a la página padre si hay historial de subpáginas
+ * @returns {boolean} - true si se navegó a la página padre
+ */
+function goBackToParentPage() {
+  if (pageNavigationStack.length === 0) {
+    return false;
+  }
+  const parent = pageNavigationStack.pop();
+  loadPageContent(parent.url, parent.name, parent.selector, parent.blockTypes, { keepNavigationStack: true });
+  return true;
+}
+
+/**
+ * Volver a una página de la pila de navegación, descartando las posteriores
+ * @param {number} index - Posición en pageNavigationStack
+ */
+function navigateToBreadcrumbEntry(index) {
+  const entry = pageNavigationStack[index];
+  if (!entry) return;
+  pageNavigationStack = pageNavigationStack.slice(0, index);
+  loadPageContent(entry.url, entry.name, entry.selector, entry.blockTypes, { keepNavigationStack: true });
+}
+
+/**
+ * Renderizar el breadcrumb con la pila de navegación (solo si hay páginas padre)
+ * @param {HTMLElement} notionContainer - Contenedor de la página
+ */
+function renderPageBreadcrumb(notionContainer) {
+  let breadcrumb = document.getElementById('page-breadcrumb');
+  
+  if (pageNavigationStack.length === 0 || !currentPageEntry) {
+    if (breadcrumb) {
+      breadcrumb.remove();
+    }
+    return;
+  }
+  
+  if (!breadcrumb) {
+    breadcrumb = document.createElement('nav');
+    breadcrumb.id = 'page-breadcrumb';
+    breadcrumb.className = 'page-breadcrumb';
+    notionContainer.insertBefore(breadcrumb, notionContainer.firstChild);
+  }
+  
+  breadcrumb.innerHTML = '';
+  pageNavigationStack.forEach((entry, index) => {
+    const item = document.createElement('button');
+    item.className = 'page-breadcrumb__item';
+    item.textContent = entry.name;
+    item.addEventListener('click', () => navigateToBreadcrumbEntry(index));
+    breadcrumb.appendChild(item);
+    
+    const separator = document.createElement('span');
+    separator.className = 'page-breadcrumb__separator';
+    separator.textContent = '/';
+    breadcrumb.appendChild(separator);
+  });
+  
+  const current = document.createElement('span');
+  current.className = 'page-breadcrumb__current';
+  current.textContent = currentPageEntry.name;
+  breadcrumb.appendChild(current);
+}
+
+// ============================================
+// ÍNDICE, ANCLAS Y OUTLINE DE LA PÁGINA
+// ============================================
+
+// Mínimo de headings para mostrar el outline flotante
+const PAGE_OUTLINE_MIN_HEADINGS = 3;
+const PAGE_OUTLINE_STORAGE_KEY = 'notion-page-outline-open';
+// Margen superior (px) a partir del cual un heading cuenta como sección actual
+const PAGE_OUTLINE_ACTIVE_OFFSET = 80;
+
+// Listener de scroll del outline activo (para quitarlo al cambiar de página)
+let pageOutlineScrollHandler = null;
+
+/**
+ * Headings con ancla del contenido renderizado
+ * @param {HTMLElement} contentDiv - #notion-content
+ * @returns {Array<{id: string, text: string, level: number, element: HTMLElement}>}
+ */
+function getPageHeadings(contentDiv) {
+  const headings = contentDiv.querySelectorAll('h1[id^="notion-heading-"], h2[id^="notion-heading-"], h3[id^="notion-heading-"]');
+  return Array.from(headings)
+    // Los headings de bases de datos en línea o subpáginas no forman parte del índice
+    .filter(heading => !heading.closest('.notion-database'))
+    .map(heading => ({
+      id: heading.id,
+      text: heading.textContent.trim(),
+      level: parseInt(heading.tagName.substring(1), 10),
+      element: heading
+    }))
+    .filter(heading => heading.text);
+}
+
+/**
+ * Hacer scroll hasta un heading, abriendo los toggles que lo contengan
+ * @param {string} headingId - ID del heading
+ */
+function scrollToHeading(headingId) {
+  const heading = document.getElementById(headingId);
+  if (!heading) return;
+  let details = heading.closest('details');
+  while (details) {
+    details.open = true;
+    details = details.parentElement?.closest('details');
+  }
+  heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Lista de enlaces a headings (usada por el bloque table_of_contents y por el outline)
+ */
+function buildHeadingList(headings, className) {
+  const list = document.createElement('ul');
+  list.className = className;
+  const minLevel = Math.min(...headings.map(heading => heading.level));
+  headings.forEach(heading => {
+    const item = document.createElement('li');
+    item.className = `${className}-item ${className}-item--level-${heading.level - minLevel + 1}`;
+    const link = document.createElement('a');
+    link.href = `#${heading.id}`;
+    link.textContent = heading.text;
+    link.setAttribute('data-heading-id', heading.id);
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      scrollToHeading(heading.id);
+    });
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Rellenar los bloques table_of_contents con los headings de la página
+ */
+function renderTableOfContentsBlocks(contentDiv, headings) {
+  contentDiv.querySelectorAll('.notion-table-of-contents').forEach(toc => {
+    toc.innerHTML = '';
+    if (headings.length === 0) {
+      toc.innerHTML = '<p class="notion-table-of-contents-empty">Add headings to create a table of contents.</p>';
+      return;
+    }
+    toc.appendChild(buildHeadingList(headings, 'notion-table-of-contents-list'));
+  });
+}
+
+/**
+ * Rellenar los bloques breadcrumb con la pila de navegación del vault
+ */
+function renderBreadcrumbBlocks(contentDiv) {
+  contentDiv.querySelectorAll('.notion-breadcrumb-block').forEach(block => {
+    block.innerHTML = '';
+    pageNavigationStack.forEach((entry, index) => {
+      const item = document.createElement('button');
+      item.className = 'notion-breadcrumb-block__item';
+      item.textContent = entry.name;
+      item.addEventListener('click', () => navigateToBreadcrumbEntry(index));
+      block.appendChild(item);
+      
+      const separator = document.createElement('span');
+      separator.className = 'notion-breadcrumb-block__separator';
+      separator.textContent = '/';
+      block.appendChild(separator);
+    });
+    const current = document.createElement('span');
+    current.className = 'notion-breadcrumb-block__current';
+    current.textContent = currentPageEntry?.name || '';
+    block.appendChild(current);
+  });
+}
+
+/**
+ * Quitar el outline flotante y su listener de scroll
+ */
+function removePageOutline() {
+  const outline = document.getElementById('page-outline');
+  if (outline) {
+    outline.remove();
+  }
+  const notionContainer = document.getElementById('notion-container');
+  if (pageOutlineScrollHandler && notionContainer) {
+    notionContainer.removeEventListener('scroll', pageOutlineScrollHandler);
+  }
+  pageOutlineScrollHandler = null;
+}
+
+/**
+ * Outline flotante con los headings de la página; resalta la sección actual al hacer scroll
+ * Se puede plegar y la preferencia se guarda en localStorage
+ */
+function renderPageOutline(headings) {
+  removePageOutline();
+  const notionContainer = document.getElementById('notion-container');
+  if (!notionContainer || headings.length < PAGE_OUTLINE_MIN_HEADINGS) return;
+  
+  const outline = document.createElement('aside');
+  outline.id = 'page-outline';
+  outline.className = 'page-outline';
+  if (localStorage.getItem(PAGE_OUTLINE_STORAGE_KEY) === 'true') {
+    outline.classList.add('page-outline--open');
+  }
+  
+  const toggle = document.createElement('button');
+  toggle.className = 'page-outline__toggle';
+  toggle.title = 'Page outline';
+  toggle.textContent = '☰';
+  toggle.addEventListener('click', () => {
+    const isOpen = outline.classList.toggle('page-outline--open');
+    localStorage.setItem(PAGE_OUTLINE_STORAGE_KEY, String(isOpen));
+  });
+  outline.appendChild(toggle);
+  outline.appendChild(buildHeadingList(headings, 'page-outline__list'));
+  notionContainer.appendChild(outline);
+  
+  const links = outline.querySelectorAll('[data-heading-id]');
+  pageOutlineScrollHandler = () => {
+    const containerTop = notionContainer.getBoundingClientRect().top;
+    let activeId = headings[0].id;
+    headings.forEach(heading => {
+      // offsetParent es null cuando el heading está dentro de un toggle cerrado
+      if (heading.element.offsetParent === null) return;
+      if (heading.element.getBoundingClientRect().top - containerTop <= PAGE_OUTLINE_ACTIVE_OFFSET) {
+        activeId = heading.id;
+      }
+    });
+    links.forEach(link => {
+      link.classList.toggle('page-outline__link--active', link.getAttribute('data-heading-id') === activeId);
+    });
+  };
+  notionContainer.addEventListener('scroll', pageOutlineScrollHandler, { passive: true });
+  pageOutlineScrollHandler();
+}
+
+/**
+ * Índice, breadcrumb y outline a partir del HTML ya insertado
+ * Funciona igual con el HTML renderizado por el GM y con el recibido por broadcast
+ */
+function enhancePageNavigation() {
+  const contentDiv = document.getElementById('notion-content');
+  if (!contentDiv) return;
+  const headings = getPageHeadings(contentDiv);
+  renderTableOfContentsBlocks(contentDiv, headings);
+  renderBreadcrumbBlocks(contentDiv);
+  renderPageOutline(headings);
+  log(`📑 Índice de página: ${headings.length} headings`);
+}
+
 // Función para cargar contenido de una página
-async function loadPageContent(url, name, selector = null, blockTypes = null) {
+// options.keepNavigationStack: true cuando se navega entre subpáginas (conserva el breadcrumb)
+// options.tokenPanel: páginas vinculadas al token desde el que se abrió (muestra pestañas)
+async function loadPageContent(url, name, selector = null, blockTypes = null, options = {}) {
+  // Las navegaciones a subpáginas conservan la pila; el resto empiezan una nueva
+  if (!options.keepNavigationStack) {
+    pageNavigationStack = [];
+  }
+  // Las pestañas del token se conservan al cambiar de pestaña o navegar a subpáginas
+  if (options.tokenPanel) {
+    currentTokenPanel = options.tokenPanel;
+  } else if (!options.keepNavigationStack) {
+    currentTokenPanel = null;
+  }
+  currentPageEntry = { url, name, selector, blockTypes };
+  markPlayerPageRead(url);
+  
   // Track page view - determine type
   let pageType = 'unknown';
   if (isDemoHtmlFile(url)) {
@@ -7493,6 +12817,8 @@ async function loadPageContent(url, name, selector = null, blockTypes = null) {
       }
     backButton.classList.remove("hidden");
     pageTitle.textContent = name;
+    renderPageBreadcrumb(notionContainer);
+    renderTokenPanelTabs(notionContainer);
     
     // Detectar si es un archivo HTML de demo local
     log('🔍 Verificando URL:', url, '| isDemoHtmlFile:', isDemoHtmlFile(url), '| isNotionUrl:', isNotionUrl(url));
@@ -7800,8 +13126,7 @@ async function loadPageContent(url, name, selector = null, blockTypes = null) {
                 // Limpiar caché de esta página ANTES de recargar
                 const pageId = extractNotionPageId(currentUrl);
                 if (pageId) {
-                  const cacheKey = CACHE_PREFIX + pageId;
-                  localStorage.removeItem(cacheKey);
+                  await deleteCacheEntry(CACHE_PREFIX + pageId);
                   log('🗑️ Caché limpiado para recarga:', pageId);
                 }
                 
@@ -7812,6 +13137,11 @@ async function loadPageContent(url, name, selector = null, blockTypes = null) {
                 }
               }
             });
+            menuItems.push({
+              icon: 'img/icon-eye-open.svg',
+              text: 'Choose player sections',
+              action: () => selectPlayerSections(currentUrl, currentName, freshRoomId)
+            });
           }
           
           menuItems.push({ separator: true });
@@ -7950,6 +13280,10 @@ async function loadPageContent(url, name, selector = null, blockTypes = null) {
           // Cerrar token config
           settingsContainer.classList.add("hidden");
         } else {
+          // Si venimos de una subpágina, volver a la página padre
+          if (goBackToParentPage()) {
+            return;
+          }
           // Volver a la vista principal desde notion-container
         notionContainer.classList.add("hidden");
         notionContainer.classList.remove("show-content");
@@ -8018,8 +13352,8 @@ function showCoGMBanner(ownershipInfo) {
     <div class="cogm-toast-content">
       <span class="cogm-toast-icon">👁️</span>
       <div class="cogm-toast-text">
-        <strong>Viewing ${ownerName}'s vault</strong>
-        <span class="cogm-toast-hint">Read-only mode</span>
+        <strong>Editing ${ownerName}'s vault</strong>
+        <span class="cogm-toast-hint">Your changes are sent to ${ownerName}</span>
       </div>
       <button class="cogm-toast-close" onclick="this.parentElement.parentElement.remove()">✕</button>
     </div>
@@ -8038,6 +13372,48 @@ function showCoGMBanner(ownershipInfo) {
   }, 10000);
 }
 
+/**
+ * Muestra el aviso de vault en solo lectura (el Master GM no envió el vault completo)
+ * @param {object} ownershipInfo - Información del ownership
+ * @param {object|null} savedCopy - Copia guardada que se está mostrando ({ savedAt })
+ */
+function showCoGMReadOnlyBanner(ownershipInfo, savedCopy) {
+  const existingToast = document.getElementById('cogm-toast');
+  if (existingToast) {
+    existingToast.remove();
+  }
+  if (coGMToastTimeout) {
+    clearTimeout(coGMToastTimeout);
+  }
+  
+  const toast = document.createElement('div');
+  toast.id = 'cogm-toast';
+  toast.className = 'cogm-toast cogm-toast--warning';
+  
+  const ownerName = ownershipInfo?.ownerInfo?.playerName || 'Master GM';
+  const hint = savedCopy
+    ? `Read-only • Showing your copy from ${new Date(savedCopy.savedAt).toLocaleString()}`
+    : 'Read-only • No copy of the vault in this browser yet';
+  
+  toast.innerHTML = `
+    <div class="cogm-toast-content">
+      <span class="cogm-toast-icon">🔒</span>
+      <div class="cogm-toast-text">
+        <strong>${escapeHtml(ownerName)} is offline</strong>
+        <span class="cogm-toast-hint">${escapeHtml(hint)}</span>
+      </div>
+      <button class="cogm-toast-close" onclick="this.parentElement.parentElement.remove()">✕</button>
+    </div>
+  `;
+  
+  document.body.appendChild(toast);
+  
+  // Sin auto-ocultar: se quita cuando llega el vault del Master GM
+  requestAnimationFrame(() => {
+    toast.classList.add('cogm-toast--visible');
+  });
+}
+
 /**
  * Oculta el toast del Co-GM
  */
@@ -8068,18 +13444,29 @@ function showMasterGMDisconnectedBanner(ownershipInfo) {
   
   const ownerName = ownershipInfo?.ownerInfo?.playerName || 'Master GM';
   const minutesInactive = ownershipInfo?.minutesInactive || 0;
+  const inactiveText = minutesInactive > 0 ? `Inactive ${minutesInactive}m` : 'Left the room';
   
   toast.innerHTML = `
     <div class="cogm-toast-content">
       <span class="cogm-toast-icon">⚠️</span>
       <div class="cogm-toast-text">
         <strong>${ownerName} disconnected</strong>
-        <span class="cogm-toast-hint">Inactive ${minutesInactive}m • Export vault if needed</span>
+        <span class="cogm-toast-hint">${inactiveText} • Take over to keep editing</span>
       </div>
+      <button class="cogm-toast-action btn btn--sm btn--ghost">Take over</button>
       <button class="cogm-toast-close" onclick="this.parentElement.parentElement.remove()">✕</button>
     </div>
   `;
   
+  // Tomar el control del vault sin esperar a OWNER_TIMEOUT
+  toast.querySelector('.cogm-toast-action').addEventListener('click', async () => {
+    if (!confirm(`Take over ${ownerName}'s vault? You become the vault owner, and ${ownerName} edits as Co-GM when they return.`)) {
+      return;
+    }
+    toast.remove();
+    await claimVaultOwnership(currentRoomId);
+  });
+  
   document.body.appendChild(toast);
   
   // Animación de entrada (no auto-ocultar este)
@@ -8088,6 +13475,533 @@ function showMasterGMDisconnectedBanner(ownershipInfo) {
   });
 }
 
+/**
+ * Settings: lista de GMs conectados a los que ceder el vault
+ * @param {HTMLElement} container - Caja de estado del vault
+ * @param {string} roomId - ID de la room
+ */
+async function renderVaultTransfer(container, roomId) {
+  const select = container.querySelector('#vault-transfer-target');
+  const button = container.querySelector('#vault-transfer-button');
+  if (!select || !button) return;
+  
+  const gms = await getConnectedGMs();
+  if (gms.length === 0) {
+    select.innerHTML = '<option>No other GMs connected</option>';
+    return;
+  }
+  
+  select.innerHTML = gms.map(gm => `<option value="${escapeHtml(gm.id)}">${escapeHtml(gm.name)}</option>`).join('');
+  select.disabled = false;
+  button.disabled = false;
+  
+  button.addEventListener('click', async () => {
+    const target = gms.find(gm => gm.id === select.value);
+    if (!target || !confirm(`Transfer the vault to ${target.name}? They become the vault owner and you continue as Co-GM.`)) {
+      return;
+    }
+    button.disabled = true;
+    button.textContent = 'Transferring...';
+    const sent = await transferVaultOwnership(target, roomId);
+    if (!sent) {
+      button.disabled = false;
+      button.textContent = 'Transfer vault';
+    }
+  });
+}
+
+// ============================================
+// SNAPSHOT PUBLICADO (acceso offline de los players)
+// ============================================
+// El Master GM sube el HTML de las páginas visibles a la función vault-snapshot (Netlify Blobs),
+// guardado por ID de room y un token aleatorio. El token se publica en room metadata, así que solo
+// quien está en la room puede leerlo; la clave de escritura se queda en el navegador del GM
+
+const PUBLISHED_SNAPSHOT_KEY = 'com.dmscreen/publishedSnapshot';
+const SNAPSHOT_CREDENTIALS_PREFIX = 'snapshot-credentials-';
+const SNAPSHOT_FUNCTION_URL = '/.netlify/functions/vault-snapshot';
+// Imágenes que la función copia al store (archivos subidos a Notion, con URL firmada que caduca)
+const SNAPSHOT_IMAGE_HOST = 'prod-files-secure.s3.us-west-2.amazonaws.com';
+const SNAPSHOT_MAX_IMAGES_PER_PAGE = 50;
+const SNAPSHOT_IMAGE_ATTRIBUTES = ['src', 'data-image-url'];
+
+// Master GM: páginas visibles en la última comprobación del snapshot publicado
+let publishedSnapshotVisibleKey = null;
+
+/**
+ * Secreto aleatorio en base64 apto para URLs (256 bits)
+ */
+function generateSnapshotSecret() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(32)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Master GM: token y clave de escritura del snapshot publicado (null si lo publicó otro navegador)
+ */
+function getSnapshotCredentials(roomId, token) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SNAPSHOT_CREDENTIALS_PREFIX + roomId));
+    return stored && stored.token === token ? stored : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function postSnapshot(payload) {
+  const response = await fetch(SNAPSHOT_FUNCTION_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Error ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Master GM: copiar al snapshot las imágenes de Notion de una página, una petición por imagen,
+ * y apuntar el HTML a las copias
+ * Las URLs se leen como atributos del DOM: en el HTML serializado los & de la firma van como &amp;
+ * @returns {Promise<{html: string, images: Array<string>}>}
+ */
+async function mirrorSnapshotImages(html, roomId, credentials) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const selector = SNAPSHOT_IMAGE_ATTRIBUTES.map(attribute => `[${attribute}]`).join(', ');
+  const elements = [...doc.body.querySelectorAll(selector)];
+  
+  const urls = new Set();
+  elements.forEach(element => SNAPSHOT_IMAGE_ATTRIBUTES.forEach(attribute => {
+    const url = element.getAttribute(attribute);
+    try {
+      if (url && new URL(url).hostname === SNAPSHOT_IMAGE_HOST) urls.add(url);
+    } catch (e) {
+      // Atributo que no es una URL absoluta
+    }
+  }));
+  if (urls.size === 0) {
+    return { html, images: [] };
+  }
+  
+  const mirrored = new Map();
+  for (const url of [...urls].slice(0, SNAPSHOT_MAX_IMAGES_PER_PAGE)) {
+    try {
+      const result = await postSnapshot({ action: 'image', room: roomId, ...credentials, url });
+      mirrored.set(url, result);
+    } catch (e) {
+      console.warn('⚠️ No se pudo copiar una imagen al snapshot:', e);
+    }
+  }
+  
+  elements.forEach(element => SNAPSHOT_IMAGE_ATTRIBUTES.forEach(attribute => {
+    const copy = mirrored.get(element.getAttribute(attribute));
+    if (copy) element.setAttribute(attribute, copy.url);
+  }));
+  return { html: doc.body.innerHTML, images: [...new Set([...mirrored.values()].map(copy => copy.image))] };
+}
+
+/**
+ * Master GM: publicar el HTML de todas las páginas visibles para todos
+ * Las páginas sin HTML en caché se renderizan con el token del GM; las compartidas solo con
+ * algunos players no se publican
+ * @param {function} onProgress - (índice, total, nombre) antes de subir cada página
+ * @returns {Promise<{published: number, skipped: Array<string>}>}
+ */
+async function publishVaultSnapshot(roomId, onProgress = null) {
+  const config = getPagesJSON(roomId) || { categories: [] };
+  const pages = getVaultNotionPages(filterVisiblePagesForMetadata(config).categories)
+    .filter((page, index, all) => all.findIndex(other => other.pageId === page.pageId) === index);
+  
+  const metadata = await OBR.room.getMetadata();
+  const current = metadata?.[PUBLISHED_SNAPSHOT_KEY];
+  let credentials = current ? getSnapshotCredentials(roomId, current.token) : null;
+  if (!credentials) {
+    credentials = { token: generateSnapshotSecret(), writeKey: generateSnapshotSecret() };
+    localStorage.setItem(SNAPSHOT_CREDENTIALS_PREFIX + roomId, JSON.stringify(credentials));
+  }
+  
+  const published = [];
+  const skipped = [];
+  for (const [index, page] of pages.entries()) {
+    if (onProgress) {
+      onProgress(index, pages.length, page.name);
+    }
+    
+    let html = await getHtmlFromLocalCache(page.pageId);
+    if (!html && getUserToken() && await cachePageContent(page, true)) {
+      html = await getHtmlFromLocalCache(page.pageId);
+    }
+    if (!html) {
+      skipped.push(page.name);
+      continue;
+    }
+    
+    const playerHtml = filterPlayerSections(html, findVaultPageById(config, page.pageId)?.playerBlocks);
+    const mirrored = await mirrorSnapshotImages(playerHtml, roomId, credentials);
+    await postSnapshot({ action: 'page', room: roomId, ...credentials, pageId: page.pageId, ...mirrored });
+    published.push(page.pageId);
+  }
+  
+  await postSnapshot({ action: 'index', room: roomId, ...credentials, pageIds: published });
+  // Las páginas publicadas se recuerdan para retirarlas si dejan de ser visibles
+  localStorage.setItem(SNAPSHOT_CREDENTIALS_PREFIX + roomId, JSON.stringify({ ...credentials, pageIds: published }));
+  await OBR.room.setMetadata({
+    [PUBLISHED_SNAPSHOT_KEY]: { token: credentials.token, publishedAt: new Date().toISOString(), pageCount: published.length }
+  });
+  log(`📦 Snapshot publicado: ${published.length} páginas${skipped.length ? `, ${skipped.length} sin contenido` : ''}`);
+  return { published: published.length, skipped };
+}
+
+/**
+ * Master GM: retirar del snapshot publicado las páginas que ya no son visibles para todos
+ * Si lo publicó otro navegador no se puede modificar: solo se avisa al GM
+ */
+async function syncPublishedSnapshot(config, roomId) {
+  const visibleIds = new Set(getVaultNotionPages(filterVisiblePagesForMetadata(config).categories).map(page => page.pageId));
+  const visibleKey = [...visibleIds].sort().join(',');
+  // Solo al cambiar las páginas visibles (savePagesJSON se llama en cada cambio del vault)
+  if (visibleKey === publishedSnapshotVisibleKey) return;
+  publishedSnapshotVisibleKey = visibleKey;
+  
+  const metadata = await OBR.room.getMetadata();
+  const current = metadata?.[PUBLISHED_SNAPSHOT_KEY];
+  if (!current?.token) return;
+  
+  const credentials = getSnapshotCredentials(roomId, current.token);
+  if (!credentials) {
+    const params = new URLSearchParams({ room: roomId, token: current.token });
+    const response = await fetch(`${SNAPSHOT_FUNCTION_URL}?${params}`);
+    const index = response.ok ? await response.json() : null;
+    if ((index?.pageIds || []).some(pageId => !visibleIds.has(pageId))) {
+      showVaultActivityToast('⚠️', 'Hidden page still published', 'Players can read it offline. Publish again or unpublish in Settings', true);
+    }
+    return;
+  }
+  
+  const publishedIds = credentials.pageIds || [];
+  const pageIds = publishedIds.filter(pageId => visibleIds.has(pageId));
+  if (pageIds.length === publishedIds.length) return;
+  
+  await postSnapshot({ action: 'index', room: roomId, token: credentials.token, writeKey: credentials.writeKey, pageIds });
+  localStorage.setItem(SNAPSHOT_CREDENTIALS_PREFIX + roomId, JSON.stringify({ ...credentials, pageIds }));
+  await OBR.room.setMetadata({ [PUBLISHED_SNAPSHOT_KEY]: { ...current, pageCount: pageIds.length } });
+  log(`📦 ${publishedIds.length - pageIds.length} páginas ocultas retiradas del snapshot publicado`);
+}
+
+/**
+ * Master GM: borrar el snapshot publicado
+ */
+async function unpublishVaultSnapshot(roomId) {
+  const metadata = await OBR.room.getMetadata();
+  const current = metadata?.[PUBLISHED_SNAPSHOT_KEY];
+  const credentials = current ? getSnapshotCredentials(roomId, current.token) : null;
+  // Si lo publicó otro navegador no se puede borrar, pero sin el token en la room nadie lo encuentra
+  if (credentials) {
+    await postSnapshot({ action: 'unpublish', room: roomId, ...credentials });
+  }
+  localStorage.removeItem(SNAPSHOT_CREDENTIALS_PREFIX + roomId);
+  await OBR.room.setMetadata({ [PUBLISHED_SNAPSHOT_KEY]: null });
+  log('🗑️ Snapshot publicado eliminado');
+}
+
+/**
+ * Players: leer una página del snapshot publicado por el GM
+ * @returns {Promise<{html: string, publishedAt: string}|null>}
+ */
+async function fetchPublishedPage(pageId) {
+  try {
+    const metadata = await OBR.room.getMetadata();
+    const snapshot = metadata?.[PUBLISHED_SNAPSHOT_KEY];
+    if (!snapshot?.token) return null;
+    
+    const params = new URLSearchParams({ room: OBR.room.id, token: snapshot.token, page: pageId });
+    const response = await fetch(`${SNAPSHOT_FUNCTION_URL}?${params}`);
+    if (!response.ok) return null;
+    log('📦 Página leída del snapshot publicado:', pageId);
+    return await response.json();
+  } catch (e) {
+    console.warn('⚠️ No se pudo leer el snapshot publicado:', e);
+    return null;
+  }
+}
+
+/**
+ * Rellenar la sección "Offline access" de Settings
+ * @param {HTMLElement} container - #snapshot-publisher
+ */
+async function renderSnapshotPublisher(container, roomId) {
+  const metadata = await OBR.room.getMetadata().catch(() => ({}));
+  const snapshot = metadata?.[PUBLISHED_SNAPSHOT_KEY];
+  const status = snapshot
+    ? `Published ${new Date(snapshot.publishedAt).toLocaleString()} • ${snapshot.pageCount} pages`
+    : 'Not published';
+  
+  container.innerHTML = `
+    <p class="form__help snapshot-publisher__status">${escapeHtml(status)}</p>
+    <div class="form__actions form__actions--double">
+      <button class="btn btn--primary btn--flex snapshot-publisher__publish">${snapshot ? 'Publish again' : 'Publish'}</button>
+      ${snapshot ? '<button class="btn btn--ghost btn--flex snapshot-publisher__unpublish">Unpublish</button>' : ''}
+    </div>
+  `;
+  
+  const statusText = container.querySelector('.snapshot-publisher__status');
+  const publishButton = container.querySelector('.snapshot-publisher__publish');
+  const unpublishButton = container.querySelector('.snapshot-publisher__unpublish');
+  
+  publishButton.addEventListener('click', async () => {
+    publishButton.disabled = true;
+    try {
+      const { published, skipped } = await publishVaultSnapshot(roomId, (index, total, name) => {
+        statusText.textContent = `Publishing ${index + 1}/${total}: ${name}`;
+      });
+      await renderSnapshotPublisher(container, roomId);
+      if (skipped.length > 0) {
+        alert(`Published ${published} pages. These pages have no content to publish (open them or pre-cache them first):\n\n${skipped.join('\n')}`);
+      }
+    } catch (error) {
+      console.error('Error al publicar el snapshot:', error);
+      alert('Error publishing pages: ' + error.message);
+      await renderSnapshotPublisher(container, roomId);
+    }
+  });
+  
+  if (unpublishButton) {
+    unpublishButton.addEventListener('click', async () => {
+      if (!confirm('Remove the published pages? Players will only see content while you are connected.')) return;
+      unpublishButton.disabled = true;
+      try {
+        await unpublishVaultSnapshot(roomId);
+      } catch (error) {
+        console.error('Error al eliminar el snapshot:', error);
+        alert('Error removing published pages: ' + error.message);
+      }
+      await renderSnapshotPublisher(container, roomId);
+    });
+  }
+}
+
+// ============================================
+// GESTOR DE CACHÉ (Settings)
+// ============================================
+
+/**
+ * Formatear un tamaño en bytes para mostrarlo
+ */
+function formatCacheSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Páginas de Notion del vault con la ruta de su carpeta
+ * folderIndexPath identifica la carpeta por posición ("0.2"), porque puede haber carpetas hermanas con el mismo nombre
+ * @param {Array} categories - Carpetas del vault
+ * @returns {Array<{name, url, blockTypes, pageId, folderPath, folderIndexPath}>}
+ */
+function getVaultNotionPages(categories, parentPath = '', parentIndexPath = '') {
+  const pages = [];
+  (categories || []).forEach((category, index) => {
+    const folderPath = parentPath ? `${parentPath} / ${category.name}` : category.name;
+    const folderIndexPath = parentIndexPath ? `${parentIndexPath}.${index}` : String(index);
+    (category.pages || []).forEach(page => {
+      const pageId = page && page.url ? extractNotionPageId(page.url) : null;
+      if (pageId) {
+        pages.push({ name: page.name, url: page.url, blockTypes: page.blockTypes || null, pageId, folderPath, folderIndexPath });
+      }
+    });
+    pages.push(...getVaultNotionPages(category.categories, folderPath, folderIndexPath));
+  });
+  return pages;
+}
+
+/**
+ * Todas las carpetas del vault (incluidas las anidadas) con su ruta visible y su ruta por posición
+ * @returns {Array<{label, indexPath}>}
+ */
+function getVaultFolderPaths(categories, parentPath = '', parentIndexPath = '') {
+  const paths = [];
+  (categories || []).forEach((category, index) => {
+    const label = parentPath ? `${parentPath} / ${category.name}` : category.name;
+    const indexPath = parentIndexPath ? `${parentIndexPath}.${index}` : String(index);
+    paths.push({ label, indexPath });
+    paths.push(...getVaultFolderPaths(category.categories, label, indexPath));
+  });
+  return paths;
+}
+
+/**
+ * Renderizar y cachear una página (bloques, información y HTML para los jugadores)
+ * @param {boolean} useCache - false para pedir de nuevo todo a la API
+ */
+async function cachePageContent(page, useCache) {
+  const html = await renderNotionPageHtml(page.url, page.pageId, useCache, page.blockTypes);
+  if (html) {
+    await saveHtmlToLocalCache(page.pageId, html);
+  }
+  return !!html;
+}
+
+/**
+ * Rellenar la sección de caché de Settings: uso total, lista de páginas cacheadas y pre-caché por carpeta
+ * @param {HTMLElement} container - #cache-manager
+ * @param {object} vaultConfig - Configuración del vault
+ */
+async function renderCacheManager(container, vaultConfig) {
+  container.innerHTML = '<p class="form__help">Loading cache...</p>';
+  
+  const [entries, metadata] = await Promise.all([
+    listCacheEntries(),
+    OBR.room.getMetadata().catch(() => ({}))
+  ]);
+  const sharedCache = (metadata && metadata[ROOM_CONTENT_CACHE_KEY]) || {};
+  const entriesByKey = new Map(entries.map(entry => [entry.key, entry]));
+  const localBytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+  const roomBytes = getJsonSize(metadata || {});
+  const roomPercentage = Math.min(100, Math.round(roomBytes / ROOM_METADATA_SIZE_LIMIT * 100));
+  
+  const pages = getVaultNotionPages(vaultConfig?.categories);
+  const cachedPages = pages
+    .map(page => {
+      const pageEntries = [CACHE_PREFIX, PAGE_INFO_CACHE_PREFIX, HTML_CACHE_PREFIX]
+        .map(prefix => entriesByKey.get(prefix + page.pageId))
+        .filter(Boolean);
+      return {
+        ...page,
+        size: pageEntries.reduce((total, entry) => total + (entry.size || 0), 0),
+        savedAt: entriesByKey.get(CACHE_PREFIX + page.pageId)?.savedAt || pageEntries[0]?.savedAt,
+        isShared: !!sharedCache[page.pageId],
+        isCached: pageEntries.length > 0
+      };
+    })
+    .filter(page => page.isCached);
+  // Bloques hijos, bases de datos y subpáginas abiertas desde otras páginas
+  const otherEntries = entries.length - cachedPages.reduce((total, page) =>
+    total + [CACHE_PREFIX, PAGE_INFO_CACHE_PREFIX, HTML_CACHE_PREFIX].filter(prefix => entriesByKey.has(prefix + page.pageId)).length, 0);
+  
+  container.innerHTML = `
+    <div class="cache-usage">
+      <div class="cache-usage__row">
+        <span>Local cache</span>
+        <span>${formatCacheSize(localBytes)} • ${entries.length} entries</span>
+      </div>
+      <div class="cache-usage__row">
+        <span>Room metadata</span>
+        <span>${formatCacheSize(roomBytes)} / ${formatCacheSize(ROOM_METADATA_SIZE_LIMIT)}</span>
+      </div>
+      <div class="cache-usage__bar">
+        <div class="cache-usage__bar-fill${roomPercentage >= 90 ? ' cache-usage__bar-fill--warn' : ''}" style="width: ${roomPercentage}%"></div>
+      </div>
+    </div>
+    <div class="cache-precache">
+      <select id="cache-precache-folder" class="select">
+        ${getVaultFolderPaths(vaultConfig?.categories).map(folder => `<option value="${folder.indexPath}">${escapeHtml(folder.label)}</option>`).join('')}
+      </select>
+      <button id="cache-precache-button" class="btn btn--primary">Pre-cache</button>
+    </div>
+    <p id="cache-precache-status" class="form__help"></p>
+    <ul class="cache-list">
+      ${cachedPages.length === 0 ? '<li class="cache-list__empty">No cached pages yet</li>' : ''}
+    </ul>
+    ${otherEntries > 0 ? `<p class="form__help">${otherEntries} more entries for nested blocks, databases and subpages</p>` : ''}
+    <div class="form__actions">
+      <button id="cache-clear-all" class="btn btn--ghost btn--flex">Clear all cache</button>
+    </div>
+  `;
+  
+  const list = container.querySelector('.cache-list');
+  cachedPages.forEach(page => {
+    const item = document.createElement('li');
+    item.className = 'cache-list__item';
+    const cachedAt = page.savedAt ? new Date(page.savedAt).toLocaleString() : 'unknown';
+    item.innerHTML = `
+      <div class="cache-list__info">
+        <span class="cache-list__name"></span>
+        <span class="cache-list__meta">${formatCacheSize(page.size)} • ${cachedAt}</span>
+      </div>
+      <span class="cache-list__badge${page.isShared ? ' cache-list__badge--shared' : ''}">${page.isShared ? 'Room-shared' : 'Local'}</span>
+      <button class="btn btn--sm btn--ghost cache-list__refresh" title="Refresh from Notion">🔄</button>
+      <button class="btn btn--sm btn--ghost cache-list__evict" title="Remove from cache">🗑️</button>
+    `;
+    item.querySelector('.cache-list__name').textContent = page.name;
+    item.title = page.folderPath;
+    
+    item.querySelector('.cache-list__refresh').addEventListener('click', async (e) => {
+      const button = e.currentTarget;
+      button.disabled = true;
+      try {
+        await cachePageContent(page, false);
+      } catch (error) {
+        console.error('Error al refrescar la página en caché:', error);
+        alert('❌ Error refreshing page: ' + error.message);
+      }
+      await renderCacheManager(container, vaultConfig);
+    });
+    
+    item.querySelector('.cache-list__evict').addEventListener('click', async (e) => {
+      e.currentTarget.disabled = true;
+      await clearPageCache(page.url);
+      await removeFromSharedCache(page.pageId);
+      await renderCacheManager(container, vaultConfig);
+    });
+    
+    list.appendChild(item);
+  });
+  
+  const precacheButton = container.querySelector('#cache-precache-button');
+  const folderSelect = container.querySelector('#cache-precache-folder');
+  const precacheStatus = container.querySelector('#cache-precache-status');
+  if (!folderSelect.options.length) {
+    precacheButton.disabled = true;
+  }
+  precacheButton.addEventListener('click', async () => {
+    const folderIndexPath = folderSelect.value;
+    const folderPath = folderSelect.selectedOptions[0]?.textContent || folderIndexPath;
+    // Incluye las subcarpetas de la carpeta elegida
+    const folderPages = pages.filter(page =>
+      page.folderIndexPath === folderIndexPath || page.folderIndexPath.startsWith(`${folderIndexPath}.`)
+    );
+    if (folderPages.length === 0) {
+      precacheStatus.textContent = 'This folder has no Notion pages.';
+      return;
+    }
+    
+    precacheButton.disabled = true;
+    folderSelect.disabled = true;
+    let failed = 0;
+    // Una página tras otra para no saturar la API de Notion
+    for (let i = 0; i < folderPages.length; i++) {
+      precacheStatus.textContent = `Caching ${i + 1}/${folderPages.length}: ${folderPages[i].name}`;
+      try {
+        await cachePageContent(folderPages[i], true);
+      } catch (error) {
+        failed++;
+        console.warn('No se pudo pre-cachear la página:', folderPages[i].name, error);
+      }
+    }
+    log('📥 Pre-caché de carpeta completado:', folderPath, '-', folderPages.length - failed, 'páginas');
+    await renderCacheManager(container, vaultConfig);
+    container.querySelector('#cache-precache-status').textContent = failed > 0
+      ? `Cached ${folderPages.length - failed} of ${folderPages.length} pages (${failed} failed)`
+      : `✅ Cached ${folderPages.length} pages`;
+  });
+  
+  container.querySelector('#cache-clear-all').addEventListener('click', async () => {
+    if (!confirm('Clear all cached pages, including the content shared through the room?')) {
+      return;
+    }
+    await clearAllCache();
+    await clearSharedContentCache();
+    trackCacheCleared();
+    await renderCacheManager(container, vaultConfig);
+  });
+}
+
 // Función para mostrar configuración de token
 async function showSettings() {
   // Obtener roomId de forma segura (usar variable global si está disponible)
@@ -8151,6 +14065,10 @@ async function showSettings() {
         // Ocultar botones de página que podrían haber quedado visibles
         hidePageHeaderButtons();
       } else if (isNotionContainerVisible) {
+        // Si venimos de una subpágina, volver a la página padre
+        if (goBackToParentPage()) {
+          return;
+        }
         // Volver a la vista principal desde notion-container
         notionContainer.classList.add("hidden");
         notionContainer.classList.remove("show-content");
@@ -8211,13 +14129,8 @@ async function showSettings() {
     ownershipInfo = await checkVaultOwnership();
     
     if (isCoGMGlobal) {
-      // Co-GM: obtener config desde metadata
-      try {
-        const metadata = await OBR.room.getMetadata();
-        vaultConfig = metadata ? metadata[FULL_CONFIG_KEY] : null;
-      } catch (e) {
-        console.warn('Error getting metadata for Co-GM:', e);
-      }
+      // Co-GM: última configuración completa recibida del Master GM (o su copia guardada)
+      vaultConfig = getCoGMFullVault(roomId);
     } else {
       // Master GM: obtener config desde localStorage
       vaultConfig = getPagesJSONFromLocalStorage(roomId);
@@ -8233,17 +14146,23 @@ async function showSettings() {
   const allForms = document.querySelectorAll('#settings-container .form');
   const notionTokenForm = allForms[0]; // Primera sección: Notion Token
   const exportVaultForm = allForms[1]; // Segunda sección: Export vault
-  const feedbackForm = allForms[2]; // Tercera sección: Feedback
+  const cacheForm = allForms[2]; // Tercera sección: Cache
+  const offlineForm = allForms[3]; // Cuarta sección: Offline access
+  const feedbackForm = allForms[4]; // Quinta sección: Feedback
   
   if (!isGM) {
     // Player: solo mostrar feedback
     if (notionTokenForm) notionTokenForm.style.display = 'none';
     if (exportVaultForm) exportVaultForm.style.display = 'none';
+    if (cacheForm) cacheForm.style.display = 'none';
+    if (offlineForm) offlineForm.style.display = 'none';
     if (feedbackForm) feedbackForm.style.display = '';
   } else if (isCoGMGlobal) {
-    // Co-GM: ocultar Notion Token, mostrar Export vault (con vault status) y Feedback
+    // Co-GM: ocultar Notion Token, Cache y Offline access (no tiene token propio), mostrar Export vault (con vault status) y Feedback
     if (notionTokenForm) notionTokenForm.style.display = 'none';
     if (exportVaultForm) exportVaultForm.style.display = '';
+    if (cacheForm) cacheForm.style.display = 'none';
+    if (offlineForm) offlineForm.style.display = 'none';
     if (feedbackForm) feedbackForm.style.display = '';
   } else {
     // Master GM: mostrar todas las secciones
@@ -8252,6 +14171,28 @@ async function showSettings() {
     });
   }
   
+  // ============================================
+  // GESTOR DE CACHÉ (solo Master GM)
+  // ============================================
+  const cacheManager = document.getElementById('cache-manager');
+  if (isGM && !isCoGMGlobal && cacheManager) {
+    renderCacheManager(cacheManager, vaultConfig).catch(e => {
+      console.error('Error al mostrar el gestor de caché:', e);
+      cacheManager.innerHTML = '<p class="form__help">Could not read the cache.</p>';
+    });
+  }
+  
+  // ============================================
+  // ACCESO OFFLINE (solo Master GM)
+  // ============================================
+  const snapshotPublisher = document.getElementById('snapshot-publisher');
+  if (isGM && !isCoGMGlobal && snapshotPublisher) {
+    renderSnapshotPublisher(snapshotPublisher, roomId).catch(e => {
+      console.error('Error al mostrar el snapshot publicado:', e);
+      snapshotPublisher.innerHTML = '<p class="form__help">Could not read the published pages.</p>';
+    });
+  }
+  
   // ============================================
   // VAULT STATUS (integrado en Export vault section)
   // ============================================
@@ -8266,14 +14207,14 @@ async function showSettings() {
     vaultStatusBox.id = 'vault-status-box';
     
     if (isCoGMGlobal) {
-      // Co-GM: modo solo lectura
+      // Co-GM: edita el vault del Master GM a través de propuestas
       const masterGMName = ownershipInfo?.ownerInfo?.playerName || 'Master GM';
       vaultStatusBox.innerHTML = `
         <div class="vault-status vault-status--cogm">
           <div class="vault-status__icon">👁️</div>
           <div class="vault-status__info">
-            <span class="vault-status__title">Read-only mode</span>
-            <span class="vault-status__detail">Viewing ${masterGMName}'s vault</span>
+            <span class="vault-status__title">Shared editing</span>
+            <span class="vault-status__detail">Changes are sent to ${masterGMName}'s vault</span>
             <span class="vault-status__detail">${pageCount} pages in ${categoryCount} folders</span>
           </div>
         </div>
@@ -8282,7 +14223,7 @@ async function showSettings() {
       // Master GM: mostrar info completa con recomendación de backup
       const syncMessage = canSync 
         ? `<span class="vault-status__sync vault-status__sync--ok">✅ Can sync to Co-GM</span>`
-        : `<span class="vault-status__sync vault-status__sync--warn">⚠️ Too large to sync (>16KB)</span>`;
+        : `<span class="vault-status__sync vault-status__sync--ok">✅ Syncs to Co-GM in chunks (needs an open scene)</span>`;
       
       vaultStatusBox.innerHTML = `
         <div class="vault-status vault-status--master">
@@ -8293,7 +14234,14 @@ async function showSettings() {
             ${syncMessage}
           </div>
         </div>
+        <div class="vault-transfer">
+          <select id="vault-transfer-target" class="select" disabled>
+            <option>Looking for connected GMs...</option>
+          </select>
+          <button id="vault-transfer-button" class="btn btn--ghost" disabled>Transfer vault</button>
+        </div>
       `;
+      renderVaultTransfer(vaultStatusBox, currentRoomId);
     }
     
     // Insertar vault status antes de la descripción
@@ -8318,7 +14266,7 @@ async function showSettings() {
       } else {
         exportDescription.textContent = canSync
           ? 'Save and reuse your GM Vault. It\'s recommended to make regular backups. Your vault syncs automatically to Co-GMs.'
-          : 'Save and reuse your GM Vault. Your vault is too large (>16KB) to sync with Co-GMs. Make regular backups.';
+          : 'Save and reuse your GM Vault. Your vault is larger than 16KB, so it syncs to Co-GMs through hidden data in the open scene. Make regular backups.';
       }
     }
   }
@@ -8336,7 +14284,7 @@ async function showSettings() {
   const loadJsonBtn = document.getElementById('load-json-btn');
   const downloadJsonBtn = document.getElementById('download-json-btn');
   
-  // Ocultar botón "Load vault" para Co-GM (solo lectura)
+  // Ocultar botón "Load vault" para Co-GM (no puede reemplazar el vault del Master GM)
   if (loadJsonBtn && isCoGMGlobal) {
     loadJsonBtn.style.display = 'none';
   }
@@ -8698,17 +14646,12 @@ async function showSettings() {
           }
         }
         
-        // Para Co-GM, obtener config desde metadata; para Master GM, desde localStorage
+        // Para Co-GM, la configuración recibida del Master GM; para Master GM, desde localStorage
         let config;
         if (isCoGMGlobal) {
-          try {
-            const metadata = await OBR.room.getMetadata();
-            config = metadata ? metadata[FULL_CONFIG_KEY] : null;
-            if (!config) {
-              throw new Error('No vault available in metadata');
-            }
-          } catch (e) {
-            console.error('Error obteniendo vault para Co-GM:', e);
+          config = getCoGMFullVault(currentRoomId);
+          if (!config) {
+            console.error('Error obteniendo vault para Co-GM: no se ha recibido del Master GM');
             alert('❌ Error: Could not retrieve vault from Master GM');
             return;
           }
@@ -9151,7 +15094,7 @@ function showStorageLimitModal(context = 'saving data') {
   // Clear Cache button
   const clearCacheBtn = modal.querySelector('#storage-clear-cache');
   clearCacheBtn.addEventListener('click', async () => {
-    const clearedCount = clearAllCache();
+    const clearedCount = await clearAllCache();
     trackCacheCleared();
     clearCacheBtn.textContent = `✅ Cleared ${clearedCount} items`;
     clearCacheBtn.disabled = true;
@@ -30,7 +30,7 @@ exports.handler = async (event, context) => {
 
   // Obtener el token del usuario desde los query parameters o headers
   // El token ahora es obligatorio y se configura desde la interfaz del plugin
-  const { pageId, type, token } = event.queryStringParameters || {};
+  const { pageId, type, token, start_cursor, page_size } = event.queryStringParameters || {};
   const userToken = token || event.headers['x-notion-token'];
   
   if (!userToken) {
@@ -54,19 +54,48 @@ exports.handler = async (event, context) => {
 
   try {
     // Si type es 'page', obtener información de la página (para last_edited_time)
-    // Si no, obtener los bloques hijos
-    const apiEndpoint = type === 'page' 
-      ? `https://api.notion.com/v1/pages/${pageId}`
-      : `https://api.notion.com/v1/blocks/${pageId}/children`;
+    // Si type es 'database', obtener el esquema de la base de datos (título y propiedades)
+    // Si type es 'database_query', obtener las filas de la base de datos (POST en Notion, paginado)
+    // Si no, obtener los bloques hijos (paginados: Notion devuelve como máximo 100 por petición)
+    let apiEndpoint;
+    let method = 'GET';
+    let body;
+    if (type === 'page') {
+      apiEndpoint = `https://api.notion.com/v1/pages/${pageId}`;
+    } else if (type === 'database') {
+      apiEndpoint = `https://api.notion.com/v1/databases/${pageId}`;
+    } else if (type === 'database_query') {
+      apiEndpoint = `https://api.notion.com/v1/databases/${pageId}/query`;
+      method = 'POST';
+      const queryBody = {};
+      if (start_cursor) {
+        queryBody.start_cursor = start_cursor;
+      }
+      if (page_size) {
+        queryBody.page_size = parseInt(page_size, 10);
+      }
+      body = JSON.stringify(queryBody);
+    } else {
+      const params = new URLSearchParams();
+      if (start_cursor) {
+        params.set('start_cursor', start_cursor);
+      }
+      if (page_size) {
+        params.set('page_size', page_size);
+      }
+      const query = params.toString();
+      apiEndpoint = `https://api.notion.com/v1/blocks/${pageId}/children${query ? `?${query}` : ''}`;
+    }
     
     // Hacer la petición a la API de Notion usando el token del usuario
     const response = await fetch(apiEndpoint, {
-      method: 'GET',
+      method,
       headers: {
         'Authorization': `Bearer ${userToken}`,
         'Notion-Version': '2022-06-28',
         'Content-Type': 'application/json'
-      }
+      },
+      body
     });
 
     if (!response.ok) {
@@ -82,6 +111,8 @@ exports.handler = async (event, context) => {
 
     const data = await response.json();
     
+    // Las respuestas de bloques y de consultas de base de datos ya incluyen next_cursor
+    // y has_more, que el cliente usa para pedir la siguiente página con start_cursor
     return {
       statusCode: 200,
       headers: {
@@ -0,0 +1,263 @@
+/**
+ * Netlify Function para publicar y leer snapshots del vault (acceso offline de los jugadores)
+ * El GM publica el HTML de las páginas visibles; los jugadores lo leen con el ID de la room y un
+ * token secreto que solo está en la room metadata. Las imágenes de Notion se copian al store, una
+ * por petición, porque sus URLs firmadas caducan en una hora
+ */
+
+const crypto = require('crypto');
+const { getStore, connectLambda } = require('@netlify/blobs');
+
+const STORE_NAME = 'vault-snapshots';
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+const IMAGE_KEY_PATTERN = /^[a-f0-9]{64}$/;
+const MAX_IMAGES_PER_PAGE = 50;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_HTML_SIZE = 2 * 1024 * 1024; // 2M caracteres por página
+// Solo se copian archivos subidos a Notion (evita usar la función como proxy de cualquier URL)
+const NOTION_FILE_HOSTS = ['prod-files-secure.s3.us-west-2.amazonaws.com'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    body: JSON.stringify(body)
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Prefijo de las claves de un snapshot. El token se guarda hasheado para que listar el store no lo revele
+ */
+function getSnapshotPrefix(room, token) {
+  return `${room}/${sha256(token)}`;
+}
+
+function isNotionFileUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && NOTION_FILE_HOSTS.includes(hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Leer el cuerpo de una respuesta sin pasar de maxBytes
+ * @returns {Promise<ArrayBuffer|null>} - null si es más grande
+ */
+async function readLimitedBody(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const buffer = Buffer.concat(chunks);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Copiar al store una imagen de Notion (una por petición, para no agotar el tiempo de la función)
+ * @returns {Promise<string|null>} - Clave de la imagen, o null si no se pudo copiar
+ */
+async function mirrorImage(store, prefix, url) {
+  // La ruta del archivo es estable; la query (firma) cambia en cada respuesta de Notion
+  const imageKey = sha256(url.split('?')[0]);
+  const blobKey = `${prefix}/images/${imageKey}`;
+  if (await store.getMetadata(blobKey)) {
+    return imageKey;
+  }
+
+  const response = await fetch(url, { redirect: 'error' });
+  const contentType = response.headers.get('content-type') || '';
+  const declaredSize = Number(response.headers.get('content-length'));
+  // Comprobar el tamaño antes de descargar; sin content-length se corta al pasar el límite
+  if (!response.ok || !contentType.startsWith('image/') || declaredSize > MAX_IMAGE_SIZE) {
+    await response.body?.cancel();
+    return null;
+  }
+  const data = await readLimitedBody(response, MAX_IMAGE_SIZE);
+  if (!data) {
+    return null;
+  }
+  await store.set(blobKey, data, { metadata: { contentType } });
+  return imageKey;
+}
+
+/**
+ * Borrar las páginas e imágenes que ya no forman parte del snapshot
+ */
+async function removeUnpublished(store, prefix, pageIds) {
+  const { blobs: pageBlobs } = await store.list({ prefix: `${prefix}/pages/` });
+  const usedImages = new Set();
+
+  for (const blob of pageBlobs) {
+    const pageId = blob.key.slice(`${prefix}/pages/`.length);
+    if (!pageIds.includes(pageId)) {
+      await store.delete(blob.key);
+      continue;
+    }
+    const page = await store.get(blob.key, { type: 'json' });
+    (page?.images || []).forEach(imageKey => usedImages.add(imageKey));
+  }
+
+  const { blobs: imageBlobs } = await store.list({ prefix: `${prefix}/images/` });
+  for (const blob of imageBlobs) {
+    if (!usedImages.has(blob.key.slice(`${prefix}/images/`.length))) {
+      await store.delete(blob.key);
+    }
+  }
+}
+
+async function handleGet(store, params) {
+  const { room, token, page, image } = params;
+  const prefix = getSnapshotPrefix(room, token);
+
+  if (image) {
+    if (!IMAGE_KEY_PATTERN.test(image)) {
+      return respond(400, { error: 'Invalid image' });
+    }
+    const result = await store.getWithMetadata(`${prefix}/images/${image}`, { type: 'arrayBuffer' });
+    if (!result) {
+      return respond(404, { error: 'Image not found' });
+    }
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': result.metadata?.contentType || 'application/octet-stream',
+        'Cache-Control': 'public, max-age=86400',
+        ...CORS_HEADERS
+      },
+      body: Buffer.from(result.data).toString('base64'),
+      isBase64Encoded: true
+    };
+  }
+
+  if (page) {
+    if (!ID_PATTERN.test(page)) {
+      return respond(400, { error: 'Invalid page' });
+    }
+    const stored = await store.get(`${prefix}/pages/${page}`, { type: 'json' });
+    return stored
+      ? respond(200, { html: stored.html, publishedAt: stored.publishedAt })
+      : respond(404, { error: 'Page not published' });
+  }
+
+  const index = await store.get(`${prefix}/index`, { type: 'json' });
+  return index ? respond(200, index) : respond(404, { error: 'Snapshot not found' });
+}
+
+async function handlePost(store, body) {
+  const { action, room, token, writeKey } = body;
+  if (typeof writeKey !== 'string' || writeKey.length < 32) {
+    return respond(400, { error: 'writeKey is required' });
+  }
+
+  const prefix = getSnapshotPrefix(room, token);
+  // La primera publicación fija la clave de escritura; las siguientes deben usar la misma
+  const meta = await store.get(`${prefix}/meta`, { type: 'json' });
+  if (meta && meta.writeKeyHash !== sha256(writeKey)) {
+    return respond(403, { error: 'Not allowed to publish this snapshot' });
+  }
+  if (!meta) {
+    await store.setJSON(`${prefix}/meta`, { writeKeyHash: sha256(writeKey), createdAt: new Date().toISOString() });
+  }
+
+  const publishedAt = new Date().toISOString();
+
+  if (action === 'page') {
+    const { pageId, html } = body;
+    if (!ID_PATTERN.test(pageId || '') || typeof html !== 'string') {
+      return respond(400, { error: 'pageId and html are required' });
+    }
+    if (html.length > MAX_HTML_SIZE) {
+      return respond(413, { error: 'Page is too large to publish' });
+    }
+    // Imágenes ya copiadas con action: image (se conservan mientras alguna página las use)
+    const images = Array.isArray(body.images)
+      ? body.images.filter(imageKey => IMAGE_KEY_PATTERN.test(imageKey)).slice(0, MAX_IMAGES_PER_PAGE)
+      : [];
+    await store.setJSON(`${prefix}/pages/${pageId}`, { html, images, publishedAt });
+    return respond(200, { ok: true, images: images.length });
+  }
+
+  if (action === 'image') {
+    const { url } = body;
+    if (typeof url !== 'string' || !isNotionFileUrl(url)) {
+      return respond(400, { error: 'Only Notion file URLs can be copied' });
+    }
+    const imageKey = await mirrorImage(store, prefix, url);
+    if (!imageKey) {
+      return respond(422, { error: 'Image could not be copied' });
+    }
+    const snapshotUrl = `/.netlify/functions/vault-snapshot?room=${encodeURIComponent(room)}&token=${encodeURIComponent(token)}&image=${imageKey}`;
+    return respond(200, { image: imageKey, url: snapshotUrl });
+  }
+
+  if (action === 'index') {
+    const pageIds = Array.isArray(body.pageIds) ? body.pageIds.filter(id => ID_PATTERN.test(id)) : [];
+    await removeUnpublished(store, prefix, pageIds);
+    await store.setJSON(`${prefix}/index`, { pageIds, publishedAt });
+    return respond(200, { ok: true, pages: pageIds.length });
+  }
+
+  if (action === 'unpublish') {
+    const { blobs } = await store.list({ prefix: `${prefix}/` });
+    for (const blob of blobs) {
+      await store.delete(blob.key);
+    }
+    return respond(200, { ok: true });
+  }
+
+  return respond(400, { error: 'Unknown action' });
+}
+
+exports.handler = async (event, context) => {
+  // Manejar CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  let params;
+  try {
+    params = event.httpMethod === 'GET' ? (event.queryStringParameters || {}) : JSON.parse(event.body || '{}');
+  } catch (e) {
+    return respond(400, { error: 'Invalid JSON body' });
+  }
+
+  if (!ID_PATTERN.test(params.room || '') || !TOKEN_PATTERN.test(params.token || '')) {
+    return respond(400, { error: 'room and token parameters are required' });
+  }
+
+  try {
+    // Las funciones con exports.handler tienen que pasar el evento para acceder a Netlify Blobs
+    connectLambda(event);
+    const store = getStore(STORE_NAME);
+    return event.httpMethod === 'GET' ? await handleGet(store, params) : await handlePost(store, params);
+  } catch (error) {
+    console.error('Error in vault snapshot:', error);
+    return respond(500, { error: error.message || 'Internal server error' });
+  }
+};